@@ -0,0 +1,99 @@
+/**
+ * @fileoverview History of the user's messages and the quick-phrase bank.
+ *
+ * Every spoken or cleared message is kept with the time it was last used, so
+ * it can be spoken again or edited instead of being typed from scratch.
+ * Pinned messages form the quick-phrase bank and are kept however old they
+ * are. The history is stored in localStorage; the oldest unpinned messages
+ * are dropped beyond `maxEntries`.
+ */
+
+class MessageHistory {
+  /**
+   * @param {string} key localStorage key.
+   * @param {number} maxEntries Maximum number of unpinned messages kept.
+   */
+  constructor(key = 'messageHistory', maxEntries = 200) {
+    this.key = key;
+    this.maxEntries = maxEntries;
+    // {id, text, time, spoken, pinned}, most recent first
+    this.entries = [];
+    this.nextId_ = 1;
+  }
+
+  // Read the stored history
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.key));
+      this.entries = Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('Ignoring invalid message history:', error);
+      this.entries = [];
+    }
+    this.nextId_ = Math.max(0, ...this.entries.map(entry => entry.id)) + 1;
+  }
+
+  save() {
+    localStorage.setItem(this.key, JSON.stringify(this.entries));
+  }
+
+  /**
+   * Records a message. A message already in the history moves to the top
+   * instead of being repeated.
+   * @param {string} text Message text.
+   * @param {boolean} spoken True if the message was spoken, false if it was
+   *                  cleared without being spoken.
+   * @return {?Object} The entry, or null for an empty message.
+   */
+  add(text, spoken = true) {
+    text = text.trim();
+    if (!text) return null;
+    let entry = this.entries.find(other => other.text === text);
+    if (entry) {
+      this.entries.splice(this.entries.indexOf(entry), 1);
+      entry.spoken = entry.spoken || spoken;
+    } else {
+      entry = { id: this.nextId_++, text, time: 0, spoken, pinned: false };
+    }
+    entry.time = Date.now();
+    this.entries.unshift(entry);
+
+    // Drop the oldest unpinned messages
+    let unpinned = 0;
+    this.entries = this.entries.filter(other =>
+      other.pinned || ++unpinned <= this.maxEntries);
+    this.save();
+    return entry;
+  }
+
+  // Entry with the given id, or undefined
+  get(id) {
+    return this.entries.find(entry => entry.id === id);
+  }
+
+  // Pin or unpin a message
+  togglePin(id) {
+    const entry = this.get(id);
+    if (entry) {
+      entry.pinned = !entry.pinned;
+      this.save();
+    }
+  }
+
+  // The most recent messages, pinned or not
+  recent(count) {
+    return this.entries.slice(0, count);
+  }
+
+  // The quick-phrase bank
+  pinned() {
+    return this.entries.filter(entry => entry.pinned);
+  }
+
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+}
+
+window.MessageHistory = MessageHistory;
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Model files: the vocabulary and the language models saved
+ * together.
+ *
+ * A model file bundles the vocabulary, the PPM trie, the word n-grams and the
+ * phrases in the format documented in README.md. The same files are
+ * downloaded from the settings panel, shipped as a pre-trained base model,
+ * kept by ModelStore and read by the tools in Node.
+ */
+
+import { Vocabulary } from './vocabulary.js';
+import { PPMLanguageModel } from './ppm_language_model.js';
+import { WordNGramModel } from './word_ngram_model.js';
+import { PhraseStore } from './phrase_store.js';
+
+// Identifies model files written by this app.
+const modelFileFormat = 'ppm-model';
+const modelFileVersion = 4;
+
+/**
+ * Bundles the vocabulary and the models into a model file object.
+ * @param {!Object} models The models to export:
+ *   vocab: Vocabulary the PPM model was built with.
+ *   ppm: PPMLanguageModel.
+ *   wordModel: WordNGramModel for next-word prediction.
+ *   phraseStore: PhraseStore for phrase prediction.
+ * @return {!Object} Model file, ready for JSON.stringify().
+ */
+function createModelFile({ vocab, ppm, wordModel, phraseStore }) {
+  return Object.assign({ format: modelFileFormat, version: modelFileVersion },
+                       vocab.serialize(), ppm.serialize(), {
+                         wordNGrams: wordModel.serialize(),
+                         phrases: phraseStore.serialize()
+                       });
+}
+
+/**
+ * Loads a model file into the supplied vocabulary, word n-gram model and
+ * phrase store. Every part of the file is first loaded into scratch models,
+ * so a bad file throws before any of the supplied models is touched; loading
+ * it again into the supplied models then can't fail halfway. Parts missing
+ * from older files (word n-grams before version 3, phrases before version 4)
+ * leave the corresponding model empty.
+ * @param {!Object} file Parsed model file.
+ * @param {!Object} models The models to replace: vocab, wordModel and
+ *                  phraseStore, see createModelFile().
+ * @param {?Object} ppmOptions Query parameters of the loaded model, see
+ *                  PPMLanguageModel.setOptions().
+ * @return {!PPMLanguageModel} The loaded model.
+ */
+function loadModelFile(file, { vocab, wordModel, phraseStore }, ppmOptions = {}) {
+  if (!file || file.format !== modelFileFormat) {
+    throw new Error('Not a PPM model file');
+  }
+  if (!(file.version >= 1 && file.version <= modelFileVersion)) {
+    throw new Error('Unsupported model file version: ' + file.version);
+  }
+  const checkVocab = new Vocabulary();
+  checkVocab.deserialize(file);
+  new PPMLanguageModel(checkVocab, file.maxOrder, ppmOptions).deserialize(file);
+  if (file.wordNGrams) {
+    new WordNGramModel(wordModel.order, wordModel.cleanWord).deserialize(file.wordNGrams);
+  }
+  if (file.phrases) {
+    new PhraseStore(phraseStore.cleanWord).deserialize(file.phrases);
+  }
+
+  vocab.deserialize(file);
+  const ppm = new PPMLanguageModel(vocab, file.maxOrder, ppmOptions);
+  ppm.deserialize(file);
+  if (file.wordNGrams) {
+    wordModel.deserialize(file.wordNGrams);
+  } else {
+    wordModel.clear();
+  }
+  if (file.phrases) {
+    phraseStore.deserialize(file.phrases);
+  } else {
+    phraseStore.clear();
+  }
+  return ppm;
+}
+
+export { createModelFile, loadModelFile };
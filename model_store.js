@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Persistence of the adapted language model.
+ *
+ * The user's model is kept as a model file, see model_file.js, in IndexedDB
+ * (falling back to localStorage where IndexedDB is unavailable, e.g. some
+ * private browsing modes) to carry the user's adaptation across sessions.
+ * Stored records carry a version; records written by an incompatible version
+ * are ignored so the app starts from the base model instead.
+ */
+
+// Bump when the stored record layout changes incompatibly.
+const modelStoreVersion = 2;
+
+const modelStoreDbName = 'predictive-scanning';
+const modelStoreObjectStore = 'models';
+
+class ModelStore {
+  /**
+   * @param {string} key Name under which the model is stored.
+   */
+  constructor(key = 'user-model') {
+    this.key = key;
+    this.dbPromise_ = null;
+  }
+
+  // Open (and create on first use) the IndexedDB database, or null
+  openDb_() {
+    if (!this.dbPromise_) {
+      this.dbPromise_ = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open(modelStoreDbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(modelStoreObjectStore);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, using localStorage:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.dbPromise_;
+  }
+
+  // Run a single request against the object store
+  async request_(mode, makeRequest) {
+    const db = await this.openDb_();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(modelStoreObjectStore, mode);
+      const request = makeRequest(transaction.objectStore(modelStoreObjectStore));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Loads the stored model.
+   * @return {!Promise<?Object>} The saved data, or null if nothing usable
+   *                             was stored.
+   */
+  async load() {
+    let record = null;
+    try {
+      if (await this.openDb_()) {
+        record = await this.request_('readonly', store => store.get(this.key));
+      } else {
+        const json = localStorage.getItem(this.key);
+        record = json ? JSON.parse(json) : null;
+      }
+    } catch (error) {
+      console.error('Error loading saved model:', error);
+      return null;
+    }
+    if (!record) return null;
+    if (record.version !== modelStoreVersion) {
+      console.warn('Ignoring saved model with version', record.version);
+      return null;
+    }
+    return record.data;
+  }
+
+  /**
+   * Saves the model, replacing any previous copy.
+   * @param {!Object} data Model file, see createModelFile().
+   */
+  async save(data) {
+    const record = { version: modelStoreVersion, savedAt: Date.now(), data };
+    try {
+      if (await this.openDb_()) {
+        await this.request_('readwrite', store => store.put(record, this.key));
+      } else {
+        localStorage.setItem(this.key, JSON.stringify(record));
+      }
+    } catch (error) {
+      console.error('Error saving model:', error);
+    }
+  }
+
+  // Removes the stored model so the next start uses the base model
+  async clear() {
+    try {
+      if (await this.openDb_()) {
+        await this.request_('readwrite', store => store.delete(this.key));
+      } else {
+        localStorage.removeItem(this.key);
+      }
+    } catch (error) {
+      console.error('Error clearing saved model:', error);
+    }
+  }
+}
+
+window.ModelStore = ModelStore;
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview The ES modules shared by the page and Node.
+ *
+ * The models, the model file format and the scan engine don't depend on the
+ * DOM, so they are ES modules that Node can import for tools and tests.
+ * index.html imports this file and exposes everything on `window` for the
+ * page's classic scripts, which run after it.
+ */
+
+export * from './symbol_sets.js';
+export * from './text_normalizer.js';
+export * from './vocabulary.js';
+export * from './ppm_language_model.js';
+export * from './word_ngram_model.js';
+export * from './phrase_store.js';
+export * from './model_file.js';
+export * from './scan_engine.js';
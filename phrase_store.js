@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Store of whole phrases for phrase prediction.
+ *
+ * The training data is a list of complete AAC utterances. Together with the
+ * messages the user speaks, they are offered as whole-sentence suggestions
+ * once the typed words match the start of a phrase, so "CAN Y" suggests
+ * "CAN YOU HELP ME?". Phrases are compared on cleaned words, ignoring case and
+ * punctuation, and ranked by how often and how recently the user used them.
+ */
+
+class PhraseStore {
+  /**
+   * @param {function(string): string} cleanWord Normalizes a raw word, e.g.
+   *        Vocabulary.cleanWord(). Empty results are skipped.
+   */
+  constructor(cleanWord) {
+    this.cleanWord = cleanWord;
+    // Cleaned words joined by spaces -> { text, words, uses, lastUsed }
+    this.phrases_ = new Map();
+  }
+
+  // True if no phrases are known
+  isEmpty() {
+    return this.phrases_.size === 0;
+  }
+
+  // Forget all phrases
+  clear() {
+    this.phrases_.clear();
+  }
+
+  // Cleaned words of a text
+  wordsOf(text) {
+    return text.split(/\s+/)
+      .map(word => this.cleanWord(word))
+      .filter(word => word.length > 0);
+  }
+
+  // Add a phrase if it is not known yet. Returns the stored phrase, or null
+  // for text without words.
+  addPhrase(text) {
+    const words = this.wordsOf(text);
+    if (words.length === 0) return null;
+    const key = words.join(' ');
+    let phrase = this.phrases_.get(key);
+    if (!phrase) {
+      phrase = { text: text.trim().toUpperCase(), words, uses: 0, lastUsed: 0 };
+      this.phrases_.set(key, phrase);
+    }
+    return phrase;
+  }
+
+  /**
+   * Records that the user spoke or selected a phrase, adding it if needed.
+   * @param {string} text Phrase text.
+   * @param {?array} journal Optional list receiving the change, which can be
+   *                 reverted with undoUpdates().
+   */
+  usePhrase(text, journal = null) {
+    const key = this.wordsOf(text).join(' ');
+    const existing = this.phrases_.get(key);
+    const previous = existing ? Object.assign({}, existing) : null;
+    const phrase = this.addPhrase(text);
+    if (!phrase) return;
+    if (journal) {
+      journal.push({ key, previous });
+    }
+    phrase.uses++;
+    phrase.lastUsed = Date.now();
+  }
+
+  // Revert the changes recorded by usePhrase(), most recent first
+  undoUpdates(journal) {
+    for (let i = journal.length - 1; i >= 0; --i) {
+      const { key, previous } = journal[i];
+      if (previous) {
+        this.phrases_.set(key, previous);
+      } else {
+        this.phrases_.delete(key);
+      }
+    }
+    journal.length = 0;
+  }
+
+  // Add every non-empty line of the text as a phrase
+  trainOnText(text) {
+    text.split('\n').forEach(line => this.addPhrase(line));
+  }
+
+  /**
+   * Finds the phrases that continue the sentence typed so far. All complete
+   * typed words must match the first words of the phrase and a partially
+   * typed last word must be a prefix of the next phrase word.
+   * @param {string} typed Text of the current sentence.
+   * @param {number} maxResults Maximum number of phrases returned.
+   * @return {!Array<string>} Phrase texts, most used first.
+   */
+  findMatches(typed, maxResults = 3) {
+    const typedWords = this.wordsOf(typed);
+    if (typedWords.length === 0) return [];
+    const partialWord = /\s$/.test(typed) ? null : typedWords.pop();
+    const numWords = typedWords.length + (partialWord === null ? 0 : 1);
+
+    const matches = [];
+    this.phrases_.forEach(phrase => {
+      const words = phrase.words;
+      if (words.length < numWords) return;
+      for (let i = 0; i < typedWords.length; ++i) {
+        if (words[i] !== typedWords[i]) return;
+      }
+      if (partialWord === null) {
+        if (words.length === numWords) return; // Nothing left to add
+      } else if (!words[typedWords.length].startsWith(partialWord)) {
+        return;
+      }
+      matches.push(phrase);
+    });
+    return matches
+      .sort((a, b) => (b.uses - a.uses) || (b.lastUsed - a.lastUsed) ||
+                      (a.words.length - b.words.length) ||
+                      a.text.localeCompare(b.text))
+      .slice(0, maxResults)
+      .map(phrase => phrase.text);
+  }
+
+  // Plain array of [text, uses, lastUsed] triples
+  serialize() {
+    return Array.from(this.phrases_.values(),
+                      phrase => [phrase.text, phrase.uses, phrase.lastUsed]);
+  }
+
+  // Restore the state saved by serialize()
+  deserialize(data) {
+    this.clear();
+    data.forEach(([text, uses, lastUsed]) => {
+      const phrase = this.addPhrase(text);
+      if (phrase) {
+        phrase.uses = uses;
+        phrase.lastUsed = lastUsed;
+      }
+    });
+  }
+}
+
+export { PhraseStore };
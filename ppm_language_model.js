@@ -42,6 +42,8 @@
  * Please also consult the references in README.md file in this directory.
  */
 
+import { rootSymbol } from './vocabulary.js';
+
 // Browser-compatible assertion function
 function assert(condition, message) {
   if (!condition) {
@@ -49,353 +51,85 @@ function assert(condition, message) {
   }
 }
 
-// Define vocabulary class and constants
-class Vocabulary {
-  constructor() {
-    this.symbols_ = [];
-    this.rootSymbol = 0;
-    this.wordBreakSymbols = new Set([' ', '.', ',', '?', '!', '\n']); // Add more word break symbols
-    this.currentWord = ''; // Track current word being built
-    this.words = new Set(); // Store unique words
-  }
-
-  size() {
-    return this.symbols_.length;
-  }
-
-  addSymbol(symbol) {
-    if (!this.symbols_.includes(symbol)) {
-      this.symbols_.push(symbol);
-      return this.symbols_.length - 1;
-    }
-    return this.symbols_.indexOf(symbol);
-  }
-
-  getSymbolIndex(symbol) {
-    return this.symbols_.indexOf(symbol);
-  }
-
-  // Clean word by removing punctuation and extra whitespace
-  cleanWord(word) {
-    return word.replace(/[.,\/#!$%\^&\*;:{}=\-_`~()\n]/g, "")
-               .replace(/\s+/g, " ")
-               .trim()
-               .toUpperCase();
-  }
-
-  // Add a word to the vocabulary
-  addWord(word) {
-    const cleanedWord = this.cleanWord(word);
-    if (cleanedWord && cleanedWord.length > 1) { // Only add words with 2+ characters
-      this.words.add(cleanedWord);
-    }
-  }
-
-  // Get all words that start with a prefix
-  getWordPredictions(prefix) {
-    const cleanPrefix = this.cleanWord(prefix);
-    console.log('getWordPredictions called with:', cleanPrefix);
-    if (!cleanPrefix) return [];
-    
-    // First try exact prefix matches
-    const exactMatches = Array.from(this.words)
-      .filter(word => word.startsWith(cleanPrefix));
-    console.log('Exact matches found:', exactMatches);
-
-    // For words of length 3 or more, also try to find corrections
-    let allSuggestions = [...exactMatches];
-    if (cleanPrefix.length >= 3) {
-      console.log('Trying corrections for:', cleanPrefix);
-      // Get all words that are similar
-      const corrections = Array.from(this.words)
-        .filter(word => {
-          // If it's already an exact match, skip it
-          if (exactMatches.includes(word)) return false;
-
-          // Check if it's a likely correction
-          const distance = this.levenshteinDistance(cleanPrefix, word);
-          const lengthDiff = Math.abs(word.length - cleanPrefix.length);
-          const startsWithSame = word.startsWith(cleanPrefix.slice(0, -1));
-          
-          // Debug each potential correction
-          if (word === 'HELLO') {
-            console.log('Checking HELLO:', {
-              distance,
-              lengthDiff,
-              startsWithSame,
-              cleanPrefix,
-              matches: (startsWithSame && lengthDiff <= 1) ||
-                      (distance <= 2 && lengthDiff <= 1) ||
-                      (word === 'HELLO' && cleanPrefix === 'HELO')
-            });
-          }
-          
-          // Include the word if:
-          // 1. It starts with the same letters except the last one (common typo)
-          // 2. It's a small edit distance away and similar length
-          // 3. It's a known word that's very similar
-          const shouldInclude = (startsWithSame && lengthDiff <= 1) ||
-                              (distance <= 2 && lengthDiff <= 1) ||
-                              (word === 'HELLO' && cleanPrefix === 'HELO');
-          
-          if (shouldInclude) {
-            console.log('Including correction:', word, 'for input:', cleanPrefix);
-          }
-          
-          return shouldInclude;
-        });
+/**
+ * Default Kneser-Ney "-like" smoothing parameters.
+ *
+ * These values are copied from Dasher. Please see the documentation for
+ * PPMLanguageModel.getProbs() below for more information.
+ */
+const knAlpha = 0.49;
+const knBeta = 0.77;
 
-      console.log('Corrections found:', corrections);
-      // Add corrections to suggestions
-      allSuggestions.push(...corrections);
-    }
+/**
+ * Query parameters of a model constructed without options, see
+ * PPMLanguageModel.setOptions(). The exclusion mechanism is off by default,
+ * but can be enabled once the constructed suffix tree contains reliable
+ * counts.
+ */
+const defaultPPMOptions = { knAlpha, knBeta, useExclusion: false };
 
-    // Remove duplicates and sort
-    const finalSuggestions = [...new Set(allSuggestions)]
-      .sort((a, b) => {
-        // Calculate similarity scores for both words
-        const aScore = this.calculateSimilarityScore(a, cleanPrefix);
-        const bScore = this.calculateSimilarityScore(b, cleanPrefix);
-        
-        // Sort by similarity score (higher is better)
-        if (aScore !== bScore) return bScore - aScore;
-        
-        // If scores are equal, prefer shorter words
-        if (a.length !== b.length) return a.length - b.length;
-        
-        // Finally sort alphabetically
-        return a.localeCompare(b);
-      })
-      .slice(0, 4); // Limit to 4 suggestions
-    
-    console.log('Final suggestions with scores:', 
-      finalSuggestions.map(word => ({
-        word,
-        score: this.calculateSimilarityScore(word, cleanPrefix)
-      }))
-    );
-    return finalSuggestions;
-  }
+/**
+ * Checks a complete set of query parameters, see PPMLanguageModel.setOptions().
+ * Alpha and beta can't both be zero: every context would then keep all of its
+ * probability mass, leaving nothing to escape to shorter contexts and to
+ * symbols the context hasn't seen.
+ * @param {!Object} options Query parameters: knAlpha and knBeta.
+ * @throws {Error} If the parameters are unusable.
+ */
+function checkPPMOptions({ knAlpha, knBeta }) {
+  assert(knAlpha >= 0, "Invalid smoothing alpha: " + knAlpha);
+  assert(knBeta >= 0 && knBeta <= 1, "Invalid smoothing beta: " + knBeta);
+  assert(knAlpha + knBeta > 0,
+         "Smoothing alpha and beta leave no escape probability");
+}
 
-  // Helper method to calculate similarity score between a word and prefix
-  calculateSimilarityScore(word, prefix) {
-    let score = 0;
-    let debugInfo = {
-      word,
-      initialScore: score,
-      prefixMatchScore: 0,
-      partialMatchScore: 0,
-      substitutionScore: 0,
-      lengthScore: 0,
-      distanceScore: 0,
-      specialCaseScore: 0
-    };
-    
-    // Exact prefix match gets highest score
-    if (word.startsWith(prefix)) {
-      score += 10;
-      debugInfo.prefixMatchScore = 10;
-    }
-    
-    // Matching all but last letter is also very good
-    if (word.startsWith(prefix.slice(0, -1))) {
-      score += 8;
-      debugInfo.partialMatchScore = 8;
-    }
-    
-    // Common substitutions at the end get a bonus
-    const commonSubstitutions = {
-      'E': 'O', 'O': 'E', 'I': 'Y', 'Y': 'I', 'S': 'Z', 'Z': 'S'
-    };
-    if (word.length === prefix.length) {
-      const lastCharWord = word[word.length - 1];
-      const lastCharPrefix = prefix[prefix.length - 1];
-      if (commonSubstitutions[lastCharWord] === lastCharPrefix ||
-          commonSubstitutions[lastCharPrefix] === lastCharWord) {
-        score += 7;
-        debugInfo.substitutionScore = 7;
-      }
-    }
-    
-    // Small length difference is good
-    const lengthDiff = Math.abs(word.length - prefix.length);
-    score += (2 - lengthDiff);
-    debugInfo.lengthScore = (2 - lengthDiff);
-    
-    // Levenshtein distance affects score
-    const distance = this.levenshteinDistance(word, prefix);
-    score -= distance;
-    debugInfo.distanceScore = -distance;
-    
-    // Special case for HELLO when input is HELO
-    if (word === 'HELLO' && prefix === 'HELO') {
-      score += 15;  // Increased from 5 to 15
-      debugInfo.specialCaseScore = 15;
-    }
+/* Epsilon for sanity checks. */
+const epsilon = 1E-10;
 
-    debugInfo.finalScore = score;
-    
-    if (word === 'HELLO' || word === 'HE?' || word === 'HALF' || word === 'HE\'S' || word === 'HEAR') {
-      console.log('Score breakdown for', word, ':', debugInfo);
+/**
+ * Encodes a list of non-negative integers compactly as a base64 string of
+ * unsigned LEB128 varints (7 bits per byte, high bit set on all but the last
+ * byte of each number).
+ * @param {!Array<number>} numbers Integers to encode.
+ * @return {string} Base64 encoded varints.
+ */
+function encodeVarints(numbers) {
+  const bytes = [];
+  for (let value of numbers) {
+    while (value >= 0x80) {
+      bytes.push(String.fromCharCode((value & 0x7f) | 0x80));
+      value = Math.floor(value / 0x80);
     }
-    
-    return score;
+    bytes.push(String.fromCharCode(value));
   }
+  return btoa(bytes.join(''));
+}
 
-  // Track word building as symbols are added
-  updateCurrentWord(symbol) {
-    if (this.wordBreakSymbols.has(symbol)) {
-      if (this.currentWord) {
-        this.addWord(this.currentWord);
-        this.currentWord = '';
-      }
+/**
+ * Decodes the output of encodeVarints().
+ * @param {string} encoded Base64 encoded varints.
+ * @return {!Array<number>} Decoded integers.
+ */
+function decodeVarints(encoded) {
+  const binary = atob(encoded);
+  const numbers = [];
+  let value = 0;
+  let scale = 1;
+  for (let i = 0; i < binary.length; ++i) {
+    const byte = binary.charCodeAt(i);
+    value += (byte & 0x7f) * scale;
+    if (byte & 0x80) {
+      scale *= 0x80;
     } else {
-      this.currentWord += symbol;
-    }
-  }
-
-  // Train on a text string
-  trainOnText(text) {
-    // Split text into words and clean each word
-    const words = text.split(/[\s\n]+/);
-    words.forEach(word => this.addWord(word));
-
-    // Also train on individual characters
-    const chars = text.split('');
-    chars.forEach(char => {
-      if (char.match(/[A-Za-z\s]/)) { // Only add letters and spaces
-        this.addSymbol(char.toUpperCase());
-      }
-    });
-  }
-
-  // Calculate Levenshtein distance between two strings
-  levenshteinDistance(str1, str2) {
-    const m = str1.length;
-    const n = str2.length;
-    const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-
-    for (let i = 0; i <= m; i++) dp[i][0] = i;
-    for (let j = 0; j <= n; j++) dp[0][j] = j;
-
-    for (let i = 1; i <= m; i++) {
-      for (let j = 1; j <= n; j++) {
-        if (str1[i - 1] === str2[j - 1]) {
-          dp[i][j] = dp[i - 1][j - 1];
-        } else {
-          dp[i][j] = Math.min(
-            dp[i - 1][j - 1] + 1, // substitution
-            dp[i - 1][j] + 1,     // deletion
-            dp[i][j - 1] + 1      // insertion
-          );
-        }
-      }
+      numbers.push(value);
+      value = 0;
+      scale = 1;
     }
-    return dp[m][n];
-  }
-
-  // Get autocorrection suggestions for a word
-  getAutocorrections(word, maxSuggestions = 3, maxDistance = 2) {
-    const cleanWord = this.cleanWord(word);
-    console.log('Getting autocorrections for:', cleanWord);
-    if (!cleanWord) return [];
-
-    // Get all words and their distances
-    const suggestions = Array.from(this.words)
-      .map(dictWord => {
-        const distance = this.levenshteinDistance(cleanWord, dictWord);
-        const lengthDiff = Math.abs(dictWord.length - cleanWord.length);
-        const startsWithSame = dictWord.startsWith(cleanWord.slice(0, -1)); // Match all but last char
-        const commonPrefix = this.longestCommonPrefix(cleanWord, dictWord);
-        const prefixLength = commonPrefix.length;
-        
-        // Calculate a score based on multiple factors
-        let score = distance;
-        
-        // Reduce score (making it better) if:
-        if (startsWithSame) score -= 1.0;  // Word starts with same letters except last
-        if (lengthDiff === 0) score -= 0.7;  // Same length
-        if (prefixLength >= cleanWord.length - 1) score -= 0.8;  // Almost complete prefix match
-        
-        // Common substitutions (e.g., 'e' for 'o' in hello/helo)
-        const commonSubstitutions = {
-          'E': 'O', 'O': 'E', 'I': 'Y', 'Y': 'I', 'S': 'Z', 'Z': 'S'
-        };
-
-        // Check for common substitutions at the end of the word
-        if (cleanWord.length === dictWord.length) {
-          const lastCharClean = cleanWord[cleanWord.length - 1];
-          const lastCharDict = dictWord[dictWord.length - 1];
-          
-          // Give extra bonus for substitutions at the end
-          if (commonSubstitutions[lastCharClean] === lastCharDict ||
-              commonSubstitutions[lastCharDict] === lastCharClean) {
-            score -= 1.5;  // Bigger bonus for end-of-word substitutions
-          }
-        }
-
-        return {
-          word: dictWord,
-          score: score,
-          distance: distance,
-          lengthDiff: lengthDiff,
-          prefixLength: prefixLength
-        };
-      })
-      .filter(suggestion => {
-        // More lenient filtering for words with same length and common substitutions
-        if (suggestion.lengthDiff === 0 && suggestion.prefixLength >= cleanWord.length - 1) {
-          return suggestion.score < 3;
-        }
-        // Standard filtering for other cases
-        return suggestion.score < 2 && suggestion.lengthDiff <= 1;
-      })
-      .sort((a, b) => {
-        // Sort by score first
-        if (a.score !== b.score) return a.score - b.score;
-        // Then by prefix length
-        if (a.prefixLength !== b.prefixLength) return b.prefixLength - a.prefixLength;
-        // Then by length difference
-        return a.lengthDiff - b.lengthDiff;
-      })
-      .slice(0, maxSuggestions)
-      .map(suggestion => suggestion.word);
-
-    console.log('Found suggestions:', suggestions);
-    return suggestions;
-  }
-
-  // Helper method to find longest common prefix
-  longestCommonPrefix(str1, str2) {
-    let i = 0;
-    while (i < str1.length && i < str2.length && str1[i] === str2[i]) {
-      i++;
-    }
-    return str1.substring(0, i);
-  }
-
-  // Check if a word needs correction
-  needsCorrection(word) {
-    const cleanWord = this.cleanWord(word);
-    return cleanWord.length > 0 && !this.words.has(cleanWord);
   }
+  assert(scale == 1, "Truncated varint data");
+  return numbers;
 }
 
-// Create vocabulary instance
-const vocab = new Vocabulary();
-
-/**
- * Kneser-Ney "-like" smoothing parameters.
- *
- * These hardcoded values are copied from Dasher. Please see the documentation
- * for PPMLanguageModel.getProbs() below for more information.
- */
-const knAlpha = 0.49;
-const knBeta = 0.77;
-
-/* Epsilon for sanity checks. */
-const epsilon = 1E-10;
-
 /**
  * Node in a search tree, which is implemented as a suffix trie that represents
  * every suffix of a sequence used during its construction. Please see
@@ -431,7 +165,7 @@ class Node {
     // in this node was observed.
     this.count_ = 1;
     // Symbol that this node stores.
-    this.symbol_ = vocab.rootSymbol;
+    this.symbol_ = rootSymbol;
   }
 
   /**
@@ -507,11 +241,14 @@ class PPMLanguageModel {
   /**
    * @param {?Vocabulary} vocab Symbol vocabulary object.
    * @param {number} maxOrder Maximum length of the context.
+   * @param {?Object} options Optional query parameters, see setOptions().
    */
-  constructor(vocab, maxOrder) {
+  constructor(vocab, maxOrder, options = {}) {
     this.vocab_ = vocab;
     assert(this.vocab_.size() > 1,
            "Expecting at least two symbols in the vocabulary");
+    assert(Number.isInteger(maxOrder) && maxOrder >= 1,
+           "Invalid maximum order: " + maxOrder);
 
     this.maxOrder_ = maxOrder;
     this.root_ = new Node();
@@ -520,25 +257,63 @@ class PPMLanguageModel {
     this.rootContext_.order_ = 0;
     this.numNodes_ = 1;
 
-    // Exclusion mechanism: Off by default, but can be enabled during the
-    // run-time once the constructed suffix tree contains reliable counts.
+    this.knAlpha_ = knAlpha;
+    this.knBeta_ = knBeta;
     this.useExclusion_ = false;
+    this.setOptions(Object.assign({}, defaultPPMOptions, options));
+  }
+
+  /**
+   * Changes the parameters used by getProbs(). They don't affect the counts
+   * in the trie, so they can change at any time.
+   * @param {!Object} options Parameters to change, others are kept:
+   *   knAlpha: Kneser-Ney-like smoothing alpha, see getProbs().
+   *   knBeta: Kneser-Ney-like smoothing beta, between 0 and 1.
+   *   useExclusion: Whether to use the exclusion mechanism.
+   * Invalid parameters, see checkPPMOptions(), throw and change nothing.
+   * @final
+   */
+  setOptions({ knAlpha, knBeta, useExclusion }) {
+    const smoothing = {
+      knAlpha: knAlpha !== undefined ? knAlpha : this.knAlpha_,
+      knBeta: knBeta !== undefined ? knBeta : this.knBeta_
+    };
+    checkPPMOptions(smoothing);
+    this.knAlpha_ = smoothing.knAlpha;
+    this.knBeta_ = smoothing.knBeta;
+    if (useExclusion !== undefined) {
+      this.useExclusion_ = Boolean(useExclusion);
+    }
+  }
+
+  /**
+   * Returns the maximum length of the context.
+   * @return {number} Model order.
+   * @final
+   */
+  getMaxOrder() {
+    return this.maxOrder_;
   }
 
   /**
    * Adds symbol to the supplied node.
    * @param {?Node} node Tree node which to grow.
    * @param {number} symbol Symbol.
+   * @param {?array} journal Optional list receiving a record of every change
+   *                 made to the trie, see undoUpdates().
    * @return {?Node} Node with the symbol.
    * @final @private
    */
-  addSymbolToNode_(node, symbol) {
+  addSymbolToNode_(node, symbol, journal) {
     let symbolNode = node.findChildWithSymbol(symbol);
     if (symbolNode != null) {
       // Update the counts for the given node.  Only updates the counts for
       // the highest order already existing node for the symbol ('single
       // counting' or 'update exclusion').
       symbolNode.count_++;
+      if (journal) {
+        journal.push({ node: symbolNode, parent: null });
+      }
     } else {
       // Symbol does not exist under the given node. Create a new child node
       // and update the backoff structure for lower contexts.
@@ -547,12 +322,16 @@ class PPMLanguageModel {
       symbolNode.next_ = node.child_;
       node.child_ = symbolNode;
       this.numNodes_++;
+      if (journal) {
+        journal.push({ node: symbolNode, parent: node });
+      }
       if (node == this.root_) {
         // Shortest possible context.
         symbolNode.backoff_ = this.root_;
       } else {
         assert(node.backoff_ != null, "Expected valid backoff node");
-        symbolNode.backoff_ = this.addSymbolToNode_(node.backoff_, symbol);
+        symbolNode.backoff_ = this.addSymbolToNode_(node.backoff_, symbol,
+                                                    journal);
       }
     }
     return symbolNode;
@@ -584,7 +363,7 @@ class PPMLanguageModel {
    * @final
    */
   addSymbolToContext(context, symbol) {
-    if (symbol <= vocab.rootSymbol) {  // Only add valid symbols.
+    if (symbol <= rootSymbol) {  // Only add valid symbols.
       return;
     }
     assert(symbol < this.vocab_.size(), "Invalid symbol: " + symbol);
@@ -612,14 +391,17 @@ class PPMLanguageModel {
    * Adds symbol to the supplied context and updates the model.
    * @param {?Context} context Context object.
    * @param {number} symbol Integer symbol.
+   * @param {?array} journal Optional list receiving a record of the changes
+   *                 made to the model, which can be reverted with
+   *                 undoUpdates().
    * @final
    */
-  addSymbolAndUpdate(context, symbol) {
-    if (symbol <= vocab.rootSymbol) {  // Only add valid symbols.
+  addSymbolAndUpdate(context, symbol, journal) {
+    if (symbol <= rootSymbol) {  // Only add valid symbols.
       return;
     }
     assert(symbol < this.vocab_.size(), "Invalid symbol: " + symbol);
-    const symbolNode = this.addSymbolToNode_(context.head_, symbol);
+    const symbolNode = this.addSymbolToNode_(context.head_, symbol, journal);
     assert(symbolNode == context.head_.findChildWithSymbol(symbol));
     context.head_ = symbolNode;
     context.order_++;
@@ -629,6 +411,61 @@ class PPMLanguageModel {
     }
   }
 
+  /**
+   * Returns the log probability of a sequence of symbols following the
+   * context. Neither the model nor the supplied context are updated; symbols
+   * outside the vocabulary are skipped.
+   * @param {?Context} context Context object.
+   * @param {!Array<number>} symbols Integer symbols.
+   * @return {number} Natural log probability of the sequence.
+   * @final
+   */
+  getSequenceLogProb(context, symbols) {
+    const sequenceContext = this.cloneContext(context);
+    let logProb = 0.0;
+    for (const symbol of symbols) {
+      if (symbol <= rootSymbol) {
+        continue;
+      }
+      logProb += Math.log(this.getProbs(sequenceContext)[symbol]);
+      this.addSymbolToContext(sequenceContext, symbol);
+    }
+    return logProb;
+  }
+
+  /**
+   * Reverts the changes recorded in a journal by addSymbolAndUpdate(). Counts
+   * are decremented and newly created nodes are unlinked from the trie, in
+   * reverse order. Journals must be undone in the reverse order of recording
+   * and any context pointing into the reverted part of the trie has to be
+   * rebuilt by the caller.
+   * @param {!array} journal Journal filled in by addSymbolAndUpdate().
+   * @final
+   */
+  undoUpdates(journal) {
+    for (let i = journal.length - 1; i >= 0; --i) {
+      const entry = journal[i];
+      if (entry.parent == null) {
+        entry.node.count_--;
+        continue;
+      }
+      // Unlink the newly created node from its parent's list of children.
+      const parent = entry.parent;
+      if (parent.child_ == entry.node) {
+        parent.child_ = entry.node.next_;
+      } else {
+        let sibling = parent.child_;
+        while (sibling != null && sibling.next_ != entry.node) {
+          sibling = sibling.next_;
+        }
+        assert(sibling != null, "Journal node not found under its parent");
+        sibling.next_ = entry.node.next_;
+      }
+      this.numNodes_--;
+    }
+    journal.length = 0;
+  }
+
   /**
    * Returns probabilities for all the symbols in the vocabulary given the
    * context.
@@ -713,7 +550,8 @@ class PPMLanguageModel {
         while (childNode != null) {
           const symbol = childNode.symbol_;
           if (!exclusionMask || !exclusionMask[symbol]) {
-            const p = gamma * (childNode.count_ - knBeta) / (count + knAlpha);
+            const p = gamma * (childNode.count_ - this.knBeta_) /
+                (count + this.knAlpha_);
             probs[symbol] += p;
             totalMass -= p;
             if (exclusionMask) {
@@ -821,11 +659,107 @@ class PPMLanguageModel {
   printToConsole() {
     this.printToConsole_(this.root_, "");
   }
+
+  /**
+   * Serializes the trie to a plain object. The nodes are stored in preorder
+   * as (symbol, count, number of children) triples, flattened and encoded
+   * with encodeVarints(). Backoff links are not stored since every suffix of
+   * a node's string is also in the trie, which allows deserialize() to
+   * recompute them. See README.md for the full model file format.
+   * @return {!Object} Serialized model.
+   * @final
+   */
+  serialize() {
+    const nodes = [];
+    const visit = (node) => {
+      let numChildren = 0;
+      for (let child = node.child_; child != null; child = child.next_) {
+        numChildren++;
+      }
+      nodes.push(node.symbol_, node.count_, numChildren);
+      for (let child = node.child_; child != null; child = child.next_) {
+        visit(child);
+      }
+    };
+    visit(this.root_);
+    return {
+      maxOrder: this.maxOrder_,
+      smoothing: { alpha: this.knAlpha_, beta: this.knBeta_ },
+      numNodes: this.numNodes_,
+      nodes: encodeVarints(nodes)
+    };
+  }
+
+  /**
+   * Replaces the trie with one produced by serialize(). The symbols must
+   * refer to the vocabulary this model was constructed with. Existing
+   * contexts and update journals become invalid.
+   * @param {!Object} data Serialized model.
+   * @final
+   */
+  deserialize(data) {
+    assert(Number.isInteger(data.maxOrder) && data.maxOrder >= 1,
+           "Invalid maximum order in serialized model: " + data.maxOrder);
+    const nodes = decodeVarints(data.nodes);
+    let pos = 0;
+    const build = () => {
+      const node = new Node();
+      node.symbol_ = nodes[pos];
+      node.count_ = nodes[pos + 1];
+      const numChildren = nodes[pos + 2];
+      pos += 3;
+      assert(pos <= nodes.length, "Truncated node list in serialized model");
+      let last = null;
+      for (let i = 0; i < numChildren; ++i) {
+        const child = build();
+        if (last == null) {
+          node.child_ = child;
+        } else {
+          last.next_ = child;
+        }
+        last = child;
+      }
+      return node;
+    };
+    const root = build();
+    assert(pos == nodes.length, "Unexpected trailing data in serialized model");
+    assert(root.symbol_ == rootSymbol, "Expected root node first");
+
+    // Recompute the backoff links breadth-first, so that the backoff of every
+    // parent is known before its children are visited.
+    const queue = [root];
+    for (let i = 0; i < queue.length; ++i) {
+      const node = queue[i];
+      for (let child = node.child_; child != null; child = child.next_) {
+        assert(child.symbol_ > rootSymbol && child.symbol_ < this.vocab_.size(),
+               "Invalid symbol: " + child.symbol_);
+        if (node == root) {
+          child.backoff_ = root;
+        } else {
+          child.backoff_ = node.backoff_.findChildWithSymbol(child.symbol_);
+          assert(child.backoff_ != null, "Missing suffix in serialized model");
+        }
+        queue.push(child);
+      }
+    }
+
+    assert(data.numNodes === undefined || queue.length == data.numNodes,
+           "Node count mismatch in serialized model");
+    if (data.smoothing && (data.smoothing.alpha != this.knAlpha_ ||
+                           data.smoothing.beta != this.knBeta_)) {
+      console.warn("Serialized model used different smoothing parameters:",
+                   data.smoothing);
+    }
+
+    this.maxOrder_ = data.maxOrder;
+    this.root_ = root;
+    this.rootContext_.head_ = root;
+    this.rootContext_.order_ = 0;
+    this.numNodes_ = queue.length;
+  }
 }
 
 /**
  * Exported APIs for browser environment
  */
-window.PPMLanguageModel = PPMLanguageModel;
-window.Vocabulary = Vocabulary;
-window.vocab = vocab;
\ No newline at end of file
+export { PPMLanguageModel, defaultPPMOptions, checkPPMOptions };
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview User profiles and their settings.
+ *
+ * A shared device keeps one profile per user. Each profile bundles the user's
+ * settings, message history and adapted model (vocabulary included), so
+ * switching profiles switches all of them. The settings are a plain object
+ * chosen by the app and saved to localStorage; the message history and the
+ * model are stored under per-profile keys by MessageHistory and ModelStore.
+ * The default profile uses the keys from before profiles existed, so its
+ * data carries over.
+ *
+ * A profile can be exported as a profile file, documented in README.md, and
+ * imported on another device.
+ */
+
+const defaultProfileName = 'Default';
+
+// Identifies profile files written by this app.
+const profileFileFormat = 'scanning-profile';
+const profileFileVersion = 1;
+
+class ProfileStore {
+  /**
+   * @param {string} key localStorage key of the profile list.
+   */
+  constructor(key = 'profiles') {
+    this.key = key;
+    this.names = [defaultProfileName];
+    this.current = defaultProfileName;
+  }
+
+  // Read the profile list and the profile in use
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.key));
+      if (stored && Array.isArray(stored.names) && stored.names.length > 0) {
+        this.names = stored.names;
+        this.current = this.names.includes(stored.current) ? stored.current : this.names[0];
+      }
+    } catch (error) {
+      console.warn('Ignoring invalid profile list:', error);
+    }
+  }
+
+  save() {
+    localStorage.setItem(this.key, JSON.stringify({
+      names: this.names,
+      current: this.current
+    }));
+  }
+
+  // localStorage key of a profile's settings
+  settingsKey(name = this.current) {
+    return name === defaultProfileName ? 'settings' : `settings:${name}`;
+  }
+
+  // localStorage key of a profile's message history
+  historyKey(name = this.current) {
+    return name === defaultProfileName ? 'messageHistory' : `messageHistory:${name}`;
+  }
+
+  // ModelStore key of a profile's adapted model
+  modelKey(name = this.current) {
+    return name === defaultProfileName ? 'user-model' : `user-model:${name}`;
+  }
+
+  /**
+   * Loads a profile's settings on top of the defaults. Settings missing from
+   * the stored copy, e.g. ones added since it was saved, or stored with the
+   * wrong type keep their default. Nested objects are merged one level deep.
+   * @param {!Object} defaults Settings of a new profile.
+   * @param {string=} name Profile, the current one by default.
+   * @return {!Object} The settings.
+   */
+  loadSettings(defaults, name = this.current) {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(this.settingsKey(name)));
+    } catch (error) {
+      console.warn('Ignoring invalid settings:', error);
+    }
+    return mergeSettings(defaults, stored || {});
+  }
+
+  saveSettings(settings, name = this.current) {
+    localStorage.setItem(this.settingsKey(name), JSON.stringify(settings));
+  }
+
+  /**
+   * Adds a profile. It starts with the default settings and the base model.
+   * @param {string} name Profile name.
+   */
+  create(name) {
+    name = name.trim();
+    if (!name) throw new Error('Profile name is empty');
+    if (this.names.includes(name)) throw new Error(`Profile "${name}" already exists`);
+    this.names.push(name);
+    this.save();
+  }
+
+  // Use another profile
+  select(name) {
+    if (!this.names.includes(name)) throw new Error(`No profile "${name}"`);
+    this.current = name;
+    this.save();
+  }
+
+  /**
+   * Removes a profile with its settings and history. The caller clears the
+   * model, which lives in a ModelStore. The last profile can't be removed.
+   * @param {string} name Profile name.
+   */
+  remove(name) {
+    if (this.names.length <= 1) throw new Error('The last profile cannot be deleted');
+    this.names = this.names.filter(other => other !== name);
+    if (this.current === name) this.current = this.names[0];
+    localStorage.removeItem(this.settingsKey(name));
+    localStorage.removeItem(this.historyKey(name));
+    this.save();
+  }
+
+  // A name for an imported profile that doesn't clash with existing ones
+  uniqueName(name) {
+    const base = name.trim() || defaultProfileName;
+    let unique = base;
+    for (let i = 2; this.names.includes(unique); ++i) {
+      unique = `${base} (${i})`;
+    }
+    return unique;
+  }
+}
+
+/**
+ * Settings over defaults, merging nested objects one level deep. Only the
+ * settings of the defaults are kept, and a setting of another type than its
+ * default, or a number that isn't finite, is replaced by the default. Values
+ * the app only allows in a range or from a list are checked by the app.
+ * @param {!Object} defaults Settings of a new profile.
+ * @param {!Object} settings Stored or imported settings.
+ * @return {!Object} The merged settings.
+ */
+function mergeSettings(defaults, settings) {
+  const merged = {};
+  Object.keys(defaults).forEach(key => {
+    const value = defaults[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const nested = checkSettingType(settings[key], value);
+      merged[key] = {};
+      Object.keys(value).forEach(name => {
+        merged[key][name] = checkSettingType(nested[name], value[name]);
+      });
+    } else {
+      merged[key] = checkSettingType(settings[key], value);
+    }
+  });
+  return merged;
+}
+
+// The setting if it has the type of its default, the default otherwise
+function checkSettingType(setting, defaultValue) {
+  if (setting === undefined || setting === null ||
+      typeof setting !== typeof defaultValue ||
+      Array.isArray(setting) !== Array.isArray(defaultValue) ||
+      (typeof setting === 'number' && !Number.isFinite(setting))) {
+    return defaultValue;
+  }
+  return setting;
+}
+
+/**
+ * Bundles a profile into a profile file object.
+ * @param {!Object} profile The profile to export:
+ *   name: Profile name.
+ *   settings: Settings object.
+ *   history: Message history entries, see MessageHistory.
+ *   model: Model file, see createModelFile().
+ * @return {!Object} Profile file, ready for JSON.stringify().
+ */
+function createProfileFile({ name, settings, history, model }) {
+  return {
+    format: profileFileFormat,
+    version: profileFileVersion,
+    name,
+    settings,
+    history,
+    model
+  };
+}
+
+/**
+ * Checks a parsed profile file. The model inside is checked when it is
+ * loaded, which falls back to the base model if it is unusable.
+ * @param {!Object} file Parsed profile file.
+ * @return {!Object} The file.
+ */
+function checkProfileFile(file) {
+  if (!file || file.format !== profileFileFormat) {
+    throw new Error('Not a profile file');
+  }
+  if (file.version !== profileFileVersion) {
+    throw new Error('Unsupported profile file version: ' + file.version);
+  }
+  if (typeof file.name !== 'string' || !file.settings || typeof file.settings !== 'object') {
+    throw new Error('Profile file has no name or settings');
+  }
+  if (file.history !== undefined && !Array.isArray(file.history)) {
+    throw new Error('Profile file history is not a list');
+  }
+  return file;
+}
+
+window.ProfileStore = ProfileStore;
+window.defaultProfileName = defaultProfileName;
+window.mergeSettings = mergeSettings;
+window.createProfileFile = createProfileFile;
+window.checkProfileFile = checkProfileFile;
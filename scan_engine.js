@@ -0,0 +1,563 @@
+/**
+ * @fileoverview Scanning state machine, independent of the DOM.
+ *
+ * A ScanEngine walks through a scan plan one step at a time and emits events
+ * describing what to highlight and what was selected; a renderer applies them
+ * to the page. Items are opaque to the engine (grid cells and word elements
+ * in the app, plain values in tests), so scan modes can be tested in Node
+ * with a fake clock.
+ *
+ * A pass first offers the word groups (phrase, prediction and correction
+ * bars), then the grid cells. Choosing a group scans its words. The cells are
+ * scanned as a tree of nested groups supplied by the renderer from the grid
+ * geometry: a flat list of cells for linear scanning, rows of cells for
+ * row-column scanning, blocks of rows for block scanning and so on. Choosing
+ * a group scans its members, and a group whose members all went by
+ * unanswered is escaped back to the enclosing level, highlighting the group
+ * again. In Huffman mode the cells are instead split into two halves of a
+ * Huffman tree built from their probabilities, splitting the chosen half
+ * until a single cell is left.
+ *
+ * The predicted cells can be offered once before the first pass, and in
+ * fully predictive mode groups and cells are scanned by decreasing
+ * probability.
+ *
+ * The grid helpers below build the scan tree of each mode from the cells in
+ * grid order, for the app and for tools/evaluate.js alike.
+ *
+ * Events, registered with on():
+ *   highlight: {items, kind, dwell} where kind is 'group' for several items
+ *              chosen together and 'item' for a single item, and dwell is
+ *              the time in ms until the next automatic step. Listeners can
+ *              hold the next step with waitFor(), e.g. until a spoken cue
+ *              has finished.
+ *   select: {item} when an item is chosen.
+ *   stop: {reason} when scanning stops, with reason 'timeout' after
+ *         maxPasses unanswered passes, 'empty' if a Huffman plan has neither
+ *         cells nor word groups and 'stopped' for stop().
+ */
+
+// Timer functions used unless a clock is injected.
+const defaultScanClock = {
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: timer => clearTimeout(timer)
+};
+
+/**
+ * Builds a Huffman tree over the grid cells, so that each binary choice
+ * splits the remaining probability as evenly as possible and probable
+ * cells are reached in fewer selections.
+ * @param {!Array<*>} cells Grid cells.
+ * @param {function(*): number} cellProb Probability of a cell.
+ * @return {?Object} Root node: {cells, prob, children}, where children is a
+ *                   pair of nodes or null for a single cell. Null without
+ *                   cells.
+ */
+function buildHuffmanTree(cells, cellProb) {
+  if (cells.length === 0) return null;
+  // Unlikely cells still need a weight to be placed in the tree
+  const minProb = 1e-6;
+  const nodes = cells.map((cell, index) => ({
+    cells: [cell],
+    prob: Math.max(cellProb(cell), minProb),
+    children: null,
+    order: index
+  }));
+  while (nodes.length > 1) {
+    nodes.sort((a, b) => (a.prob - b.prob) || (b.order - a.order));
+    const [low, high] = nodes.splice(0, 2);
+    // The more probable half is offered first
+    nodes.push({
+      cells: [...high.cells, ...low.cells],
+      prob: low.prob + high.prob,
+      children: [high, low],
+      order: Math.min(low.order, high.order)
+    });
+  }
+  return nodes[0];
+}
+
+// Copy of nested arrays of cells, so sorting leaves the plan untouched
+function copyScanTree(nodes) {
+  return nodes.map(node => Array.isArray(node) ? copyScanTree(node) : node);
+}
+
+// Cells of nested arrays, in order
+function flattenScanTree(nodes) {
+  return nodes.flatMap(node => Array.isArray(node) ? flattenScanTree(node) : [node]);
+}
+
+// Rows and columns of grid cells, as laid out with `numCols` columns
+function getGridGeometry(cells, numCols) {
+  const rows = [];
+  for (let i = 0; i < cells.length; i += numCols) {
+    rows.push(cells.slice(i, i + numCols));
+  }
+  const columns = [];
+  for (let col = 0; col < numCols; col++) {
+    const column = rows.filter(row => col < row.length).map(row => row[col]);
+    if (column.length > 0) columns.push(column);
+  }
+  return { cells, rows, columns };
+}
+
+// Quadrants of the grid in reading order, each a list of its row segments
+function getGridBlocks(rows, numCols) {
+  const rowSplit = Math.ceil(rows.length / 2);
+  const colSplit = Math.ceil(numCols / 2);
+  const blocks = [];
+  [[0, rowSplit], [rowSplit, rows.length]].forEach(([rowStart, rowEnd]) => {
+    [[0, colSplit], [colSplit, numCols]].forEach(([colStart, colEnd]) => {
+      const block = rows.slice(rowStart, rowEnd)
+        .map(row => row.slice(colStart, colEnd))
+        .filter(segment => segment.length > 0);
+      if (block.length > 0) blocks.push(block);
+    });
+  });
+  return blocks;
+}
+
+/**
+ * Nested groups of grid cells scanned in a scan mode, the `tree` of a plan.
+ * @param {!Array<*>} cells Grid cells in grid order.
+ * @param {number} numCols Number of grid columns.
+ * @param {string} mode Scan mode.
+ * @return {!Array<*>} Nested arrays of cells.
+ */
+function getGridScanTree(cells, numCols, mode) {
+  const { rows, columns } = getGridGeometry(cells, numCols);
+  switch (mode) {
+    case 'row-column':
+      return rows;
+    case 'column-row':
+      return columns;
+    case 'block':
+      return getGridBlocks(rows, numCols);
+    default:
+      return cells;
+  }
+}
+
+/**
+ * Orders cells so the most probable ones take the grid positions reached
+ * with the fewest scan steps in a scan mode, for the dynamic layout.
+ * @param {!Array<*>} cells Grid cells.
+ * @param {number} numCols Number of grid columns.
+ * @param {string} mode Scan mode.
+ * @param {function(*): number} cellProb Probability of a cell.
+ * @return {!Array<*>} The cells in their new grid order.
+ */
+function arrangeGridByProbability(cells, numCols, mode, cellProb) {
+  // Steps to reach each position, scanning a tree of the positions
+  const scanSteps = [];
+  const countSteps = (nodes, stepsBefore) => {
+    nodes.forEach((node, index) => {
+      if (Array.isArray(node)) {
+        countSteps(node, stepsBefore + index + 1);
+      } else {
+        scanSteps[node] = stepsBefore + index + 1;
+      }
+    });
+  };
+  const indices = cells.map((cell, index) => index);
+  countSteps(getGridScanTree(indices, numCols, mode), 0);
+  const positions = indices
+    .sort((a, b) => (scanSteps[a] - scanSteps[b]) || (a - b));
+  const byProbability = [...cells]
+    .sort((a, b) => cellProb(b) - cellProb(a));
+  const arranged = [];
+  positions.forEach((position, rank) => {
+    arranged[position] = byProbability[rank];
+  });
+  return arranged;
+}
+
+class ScanEngine {
+  /**
+   * @param {?Object} options Optional settings:
+   *   clock: {setTimeout, clearTimeout} used for automatic steps.
+   *   dwellTime: Function returning the highlight time in ms for an item,
+   *              given its probability relative to the most probable item
+   *              offered (undefined for items without a probability).
+   *   firstItemDelay: Extra time in ms on the first item of each pass.
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || defaultScanClock;
+    this.dwellTime = options.dwellTime || (() => 500);
+    this.firstItemDelay = options.firstItemDelay || 0;
+    this.listeners_ = { highlight: [], select: [], stop: [] };
+    this.scanning = false;
+    this.timer_ = null;
+    this.running_ = false; // Advancing automatically
+    this.dwell_ = 0; // Dwell time of the current highlight
+    this.waits_ = []; // Promises holding the step after the current highlight
+    this.highlightCount_ = 0; // Incremented by every highlight
+    this.generation_ = 0; // Incremented by start(), to notice restarts
+  }
+
+  /**
+   * Registers a listener.
+   * @param {string} type 'highlight', 'select' or 'stop'.
+   * @param {function(?Object)} listener Called with the event details.
+   */
+  on(type, listener) {
+    this.listeners_[type].push(listener);
+  }
+
+  emit_(type, details) {
+    this.listeners_[type].forEach(listener => listener(details));
+  }
+
+  /**
+   * Starts scanning a plan. Nothing is highlighted until the first step.
+   * @param {!Object} plan What to scan:
+   *   mode: 'huffman' for Huffman scanning, any other mode scans the tree.
+   *   groups: Array of word groups, each an array of items.
+   *   cells: Grid cells in grid order.
+   *   tree: Nested arrays of cells, e.g. rows, defaulting to the cells.
+   *   predicted: Cells offered once before the first pass, most likely
+   *              first. Empty to skip.
+   *   fullPredictive: If true, cells and groups are ordered by probability.
+   *   probability: Function returning the probability of a cell.
+   *   maxPasses: Passes over the cells without a selection before scanning
+   *              times out, 0 for no limit.
+   */
+  start(plan) {
+    this.stopTimer_();
+    this.generation_++;
+    this.scanning = true;
+    this.running_ = false;
+    this.mode = plan.mode;
+    this.groups = plan.groups || [];
+    this.predicted = plan.predicted || [];
+    this.maxPasses = plan.maxPasses || 0;
+    const probability = plan.probability || (() => 0);
+    this.cellProb_ = cell => probability(cell) || 0;
+
+    this.cells = plan.cells.slice();
+    this.tree = copyScanTree(plan.tree || plan.cells);
+    if (plan.fullPredictive) {
+      this.sortByProb_(this.tree);
+    }
+    this.maxCellProb_ = Math.max(0, ...this.cells.map(this.cellProb_));
+    this.huffmanRoot = this.mode === 'huffman' ?
+      buildHuffmanTree(this.cells, this.cellProb_) : null;
+
+    this.reset_();
+  }
+
+  // Probability of a cell or of a nested group of cells
+  nodeProb_(node) {
+    return Array.isArray(node) ?
+      node.reduce((sum, child) => sum + this.nodeProb_(child), 0) :
+      this.cellProb_(node);
+  }
+
+  // Order every level of the tree by decreasing probability
+  sortByProb_(nodes) {
+    nodes.forEach(node => {
+      if (Array.isArray(node)) this.sortByProb_(node);
+    });
+    nodes.sort((a, b) => this.nodeProb_(b) - this.nodeProb_(a));
+  }
+
+  // Back to the start of the plan
+  reset_() {
+    this.cursor_ = null; // {phase, index}, null before the first step
+    this.activeGroup_ = null;
+    // Level of the tree being scanned: {nodes, parent, parentIndex}
+    this.level_ = { nodes: this.tree, parent: null, parentIndex: 0 };
+    this.huffmanNode_ = this.huffmanRoot;
+    this.huffmanPasses_ = 0;
+    this.predictedDone_ = this.predicted.length === 0;
+    this.passes_ = 0;
+    this.dwell_ = this.dwellTime(undefined);
+    this.waits_ = [];
+  }
+
+  /**
+   * Stops scanning.
+   * @param {string} reason Reported to the stop listeners.
+   */
+  stop(reason = 'stopped') {
+    if (!this.scanning) return;
+    this.scanning = false;
+    this.running_ = false;
+    this.stopTimer_();
+    this.emit_('stop', { reason });
+  }
+
+  // Advance automatically after the dwell time of each highlight
+  run() {
+    if (!this.scanning) return;
+    this.running_ = true;
+    this.schedule_(this.dwell_);
+  }
+
+  // Stop advancing automatically, keeping the highlight
+  pause() {
+    this.running_ = false;
+    this.stopTimer_();
+  }
+
+  stopTimer_() {
+    if (this.timer_ !== null) {
+      this.clock.clearTimeout(this.timer_);
+      this.timer_ = null;
+    }
+  }
+
+  schedule_(delay) {
+    this.stopTimer_();
+    const generation = this.generation_;
+    const highlightCount = this.highlightCount_;
+    const waits = this.waits_;
+    const advance = () => {
+      // Nothing to do if scanning paused, restarted or moved on meanwhile
+      if (!this.running_ || !this.scanning || generation !== this.generation_ ||
+          highlightCount !== this.highlightCount_) {
+        return;
+      }
+      this.step();
+      // A listener may have restarted scanning with its own timer
+      if (this.running_ && this.scanning && generation === this.generation_) {
+        this.schedule_(this.dwell_);
+      }
+    };
+    this.timer_ = this.clock.setTimeout(() => {
+      this.timer_ = null;
+      if (waits.length > 0) {
+        Promise.all(waits).then(advance);
+      } else {
+        advance();
+      }
+    }, delay);
+  }
+
+  /**
+   * Holds the next automatic step until the promise settles, in addition to
+   * the dwell time. Call from a highlight listener.
+   * @param {!Promise} promise E.g. the end of a spoken cue.
+   */
+  waitFor(promise) {
+    this.waits_.push(Promise.resolve(promise).catch(() => {}));
+  }
+
+  // Move the highlight to the next item
+  step() {
+    if (!this.scanning) return;
+    const generation = this.generation_;
+    this.advance_();
+    if (this.scanning && generation === this.generation_) this.highlight_();
+  }
+
+  // Choose the highlighted item or group
+  select() {
+    const cursor = this.cursor_;
+    if (!this.scanning || !cursor) return;
+    switch (cursor.phase) {
+      case 'groups':
+        this.activeGroup_ = this.groups[cursor.index];
+        this.enter_('words');
+        return;
+      case 'tree': {
+        const node = this.level_.nodes[cursor.index];
+        if (Array.isArray(node)) {
+          this.level_ = { nodes: node, parent: this.level_, parentIndex: cursor.index };
+          this.enter_('tree');
+          return;
+        }
+        this.selectItem_(node);
+        return;
+      }
+      case 'huffman': {
+        const node = this.huffmanChoices_()[cursor.index];
+        if (node.children) {
+          this.huffmanNode_ = node;
+          this.huffmanPasses_ = 0;
+          this.enter_('huffman');
+          return;
+        }
+        this.selectItem_(node.cells[0]);
+        return;
+      }
+      default:
+        this.selectItem_(this.currentItems_()[0]);
+    }
+  }
+
+  // Report a selection, then scan from the start unless a listener restarted
+  selectItem_(item) {
+    const generation = this.generation_;
+    this.emit_('select', { item });
+    if (this.scanning && generation === this.generation_) {
+      this.reset_();
+      if (this.running_) this.schedule_(this.dwell_);
+    }
+  }
+
+  // Step into a chosen group, highlighting its first item at once
+  enter_(phase) {
+    this.cursor_ = { phase, index: 0 };
+    this.highlight_();
+    if (this.running_) this.schedule_(this.dwell_);
+  }
+
+  // Start of a pass: the word groups if any, then the cells
+  enterPass_() {
+    if (this.groups.length > 0) {
+      this.cursor_ = { phase: 'groups', index: 0 };
+    } else {
+      this.enterCells_();
+    }
+  }
+
+  enterCells_() {
+    this.activeGroup_ = null;
+    if (!this.predictedDone_) {
+      this.cursor_ = { phase: 'predicted', index: 0 };
+    } else if (this.mode === 'huffman') {
+      if (!this.huffmanRoot) {
+        // No cells to split: scan the word groups alone, if any
+        if (this.groups.length > 0) {
+          this.endPass_();
+        } else {
+          this.stop('empty');
+        }
+        return;
+      }
+      this.huffmanNode_ = this.huffmanRoot;
+      this.huffmanPasses_ = 0;
+      this.cursor_ = { phase: 'huffman', index: 0 };
+    } else {
+      this.level_ = { nodes: this.tree, parent: null, parentIndex: 0 };
+      this.cursor_ = { phase: 'tree', index: 0 };
+    }
+  }
+
+  // A pass over the cells went by without a selection
+  endPass_() {
+    this.passes_++;
+    if (this.maxPasses && this.passes_ >= this.maxPasses) {
+      this.stop('timeout');
+      return;
+    }
+    this.enterPass_();
+  }
+
+  // Number of positions in the current phase
+  phaseLength_(phase) {
+    switch (phase) {
+      case 'groups': return this.groups.length;
+      case 'words': return this.activeGroup_.length;
+      case 'predicted': return this.predicted.length;
+      case 'tree': return this.level_.nodes.length;
+      default: return this.huffmanChoices_().length;
+    }
+  }
+
+  // The halves of the Huffman node being scanned, or the node itself if it
+  // is a single cell, as when the plan has only one
+  huffmanChoices_() {
+    return this.huffmanNode_.children || [this.huffmanNode_];
+  }
+
+  advance_() {
+    const cursor = this.cursor_;
+    if (!cursor) {
+      this.enterPass_();
+      return;
+    }
+    if (cursor.index + 1 < this.phaseLength_(cursor.phase)) {
+      cursor.index++;
+      return;
+    }
+    switch (cursor.phase) {
+      case 'groups':
+      case 'words': // No word chosen, carry on with the cells
+        this.enterCells_();
+        break;
+      case 'predicted':
+        this.predictedDone_ = true;
+        this.enterCells_();
+        break;
+      case 'tree':
+        if (this.level_.parent) {
+          // Escape from the group, highlighting it again so a missed item
+          // is one selection away
+          cursor.index = this.level_.parentIndex;
+          this.level_ = this.level_.parent;
+        } else {
+          this.endPass_();
+        }
+        break;
+      case 'huffman':
+        if (this.huffmanNode_ !== this.huffmanRoot) {
+          // Back to the whole grid if both halves went by twice unanswered
+          if (++this.huffmanPasses_ >= 2) {
+            this.huffmanNode_ = this.huffmanRoot;
+            this.huffmanPasses_ = 0;
+          }
+          cursor.index = 0;
+        } else {
+          this.endPass_();
+        }
+        break;
+    }
+  }
+
+  // Items under the cursor
+  currentItems_() {
+    const { phase, index } = this.cursor_;
+    switch (phase) {
+      case 'groups': return this.groups[index];
+      case 'words': return [this.activeGroup_[index]];
+      case 'predicted': return [this.predicted[index]];
+      case 'tree': return flattenScanTree([this.level_.nodes[index]]);
+      default: return this.huffmanChoices_()[index].cells;
+    }
+  }
+
+  // Probability of the highlight relative to the most probable alternative,
+  // or undefined where probabilities don't apply
+  relativeProb_() {
+    const { phase, index } = this.cursor_;
+    switch (phase) {
+      case 'groups':
+      case 'words':
+        return undefined;
+      case 'predicted':
+        return this.cellProb_(this.predicted[index]) / this.maxCellProb_;
+      case 'tree': {
+        const nodes = this.level_.nodes;
+        return this.nodeProb_(nodes[index]) /
+          Math.max(...nodes.map(node => this.nodeProb_(node)));
+      }
+      default: {
+        const choices = this.huffmanChoices_();
+        return choices[index].prob / Math.max(...choices.map(choice => choice.prob));
+      }
+    }
+  }
+
+  highlight_() {
+    const items = this.currentItems_();
+    const { phase, index } = this.cursor_;
+    const isGroup = phase === 'groups' ||
+      (phase === 'tree' && Array.isArray(this.level_.nodes[index])) ||
+      (phase === 'huffman' && this.huffmanChoices_()[index].children);
+    const kind = isGroup ? 'group' : 'item';
+    this.dwell_ = this.dwellTime(this.relativeProb_()) +
+      (index === 0 ? this.firstItemDelay : 0);
+    this.highlightCount_++;
+    this.waits_ = [];
+    this.emit_('highlight', { items, kind, dwell: this.dwell_ });
+  }
+}
+
+export {
+  ScanEngine,
+  buildHuffmanTree,
+  getGridScanTree,
+  arrangeGridByProbability
+};
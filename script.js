@@ -1,11 +1,109 @@
 // Initialize vocabulary and PPM model
-const maxOrder = 3; // Max context length for predictions
+const vocab = new window.Vocabulary();
+const defaultMaxOrder = 3; // Max context length of a newly trained model
 
-// Initialize the model and load training data
+// Query parameters of the PPM model, set from the profile's settings
+const modelOptions = Object.assign({}, window.defaultPPMOptions);
+
+// Every symbol the user can type, split into pages of the grid
+const symbolSet = new window.SymbolSet();
+
+// Shared by training and live input so the model sees one symbol stream
+const normalizer = new window.TextNormalizer(symbolSet.normalizerOptions());
+
+// Predicts the next word after a space, alongside the character model
+const wordModel = new window.WordNGramModel(3, word => vocab.cleanWord(word));
+
+// Whole phrases from the training data and the user's spoken messages
+const phraseStore = new window.PhraseStore(word => vocab.cleanWord(word));
+
+// The models saved and loaded together in model files
+function getModels() {
+  return { vocab, ppm, wordModel, phraseStore };
+}
+
+// User profiles, each with its own settings, history and adapted model
+const profileStore = new window.ProfileStore();
+profileStore.load();
+
+// Spoken and cleared messages, and the pinned quick phrases
+let messageHistory = new window.MessageHistory(profileStore.historyKey());
+messageHistory.load();
+let selectedHistoryEntry = null; // History message whose actions are shown
+
+// Saved copy of the model adapted to the user's typing
+let modelStore = new window.ModelStore(profileStore.modelKey());
+let modelSaveTimer = null;
+
+// Pre-trained model file used instead of training_data.txt when present
+const baseModelUrl = 'base_model.json';
+
+// Load the saved model, or the base model on first use
 async function initializeModel() {
+  const saved = await modelStore.load();
+  if (saved) {
+    try {
+      const ppm = window.loadModelFile(saved, getModels(), modelOptions);
+      console.log('Loaded saved model with', ppm.numNodes_, 'nodes');
+      registerSymbols();
+      await trainMissingModels();
+      return { ppm };
+    } catch (error) {
+      console.error('Saved model is invalid, loading base model:', error);
+    }
+  }
+  return loadBaseModel();
+}
+
+// Load the pre-trained base model, or train it from the training data
+async function loadBaseModel() {
+  try {
+    const response = await fetch(baseModelUrl);
+    if (response.ok) {
+      const ppm = window.loadModelFile(await response.json(), getModels(), modelOptions);
+      console.log('Loaded base model from', baseModelUrl);
+      registerSymbols();
+      await trainMissingModels();
+      return { ppm };
+    }
+  } catch (error) {
+    console.warn('Base model file unusable, training instead:', error);
+  }
+  vocab.clear();
+  return trainBaseModel();
+}
+
+// Model files saved with an older symbol set may lack some grid symbols.
+// New symbols are appended, so the existing symbol IDs remain valid.
+function registerSymbols() {
+  symbolSet.symbols.forEach(symbol => vocab.addSymbol(symbol));
+}
+
+async function fetchTrainingText() {
+  const response = await fetch('training_data.txt');
+  return response.text();
+}
+
+// Train the word n-gram model and phrase store if a model file had none
+async function trainMissingModels() {
+  if (!wordModel.isEmpty() && !phraseStore.isEmpty()) return;
+  try {
+    const trainingText = await fetchTrainingText();
+    if (wordModel.isEmpty()) {
+      wordModel.trainOnText(trainingText);
+    }
+    if (phraseStore.isEmpty()) {
+      phraseStore.trainOnText(trainingText);
+    }
+  } catch (error) {
+    console.error('Error training word and phrase models:', error);
+  }
+}
+
+// Train the base model from the training data
+async function trainBaseModel() {
   try {
-    const response = await fetch('training_data.txt');
-    const trainingText = await response.text();
+    const trainingText = await fetchTrainingText();
     console.log('Training text loaded:', trainingText.slice(0, 100) + '...');
     
     // Add common English words to vocabulary
@@ -20,36 +118,66 @@ async function initializeModel() {
     ];
     
     // Train vocabulary with common words first
-    commonWords.forEach(word => window.vocab.addWord(word));
+    commonWords.forEach(word => vocab.addWord(word));
     
     // Then train on the training text
-    window.vocab.trainOnText(trainingText);
+    vocab.trainOnText(trainingText, normalizer);
+    wordModel.clear();
+    wordModel.trainOnText(trainingText);
+    phraseStore.clear();
+    phraseStore.trainOnText(trainingText);
     
     console.log('Vocabulary after training:', 
-      'Symbols:', window.vocab.symbols_,
-      'Words:', Array.from(window.vocab.words).slice(0, 20), // Show first 20 words
-      'Total words:', window.vocab.words.size);
+      'Symbols:', vocab.symbols_,
+      'Words:', Array.from(vocab.words.keys()).slice(0, 20), // Show first 20 words
+      'Total words:', vocab.words.size);
     
     // Initialize PPM model after training
-    const ppm = new window.PPMLanguageModel(window.vocab, maxOrder);
-    const context = ppm.createContext();
-    
-    // Train PPM model on the text
-    const chars = trainingText.split('');
-    chars.forEach(char => {
-      const symbolIndex = window.vocab.getSymbolIndex(char);
-      if (symbolIndex !== -1) {
-        ppm.addSymbolAndUpdate(context, symbolIndex);
-      }
-    });
+    const ppm = new window.PPMLanguageModel(vocab, defaultMaxOrder, modelOptions);
+    trainCharacterModel(ppm, trainingText);
     
-    return { ppm, context };
+    return { ppm };
   } catch (error) {
     console.error('Error loading training data:', error);
     return null;
   }
 }
 
+// Train a PPM model on the normalized text
+function trainCharacterModel(model, text) {
+  const trainContext = model.createContext();
+  normalizer.normalize(text).forEach(symbol => {
+    model.addSymbolAndUpdate(trainContext, vocab.getSymbolIndex(symbol));
+  });
+}
+
+/**
+ * Replaces the PPM model with one of another order, trained on the training
+ * text and the spoken messages in the history. The vocabulary, word n-gram
+ * model and phrase store don't depend on the order and are kept; what the
+ * old PPM model learned from other typing is lost.
+ * @param {number} order New maximum context length.
+ * @return {!Promise<boolean>} Whether the model was replaced.
+ */
+async function retrainModel(order) {
+  let trainingText;
+  try {
+    trainingText = await fetchTrainingText();
+  } catch (error) {
+    console.error('Error loading training data:', error);
+    return false;
+  }
+  const newModel = new window.PPMLanguageModel(vocab, order, modelOptions);
+  trainCharacterModel(newModel, trainingText);
+  messageHistory.entries.slice().reverse()
+    .filter(entry => entry.spoken)
+    .forEach(entry => trainCharacterModel(newModel, entry.text));
+  ppm = newModel;
+  clearMessage();
+  saveModel();
+  return true;
+}
+
 // Initialize UI elements
 const gridElement = document.getElementById("letter-grid");
 const messageElement = document.getElementById("message");
@@ -58,12 +186,42 @@ const clearBtn = document.getElementById("clear-btn");
 const undoBtn = document.getElementById("undo-btn");
 const layoutSelect = document.getElementById("keyboard-layout");
 const scanModeSelect = document.getElementById("scan-mode");
-const predictionCheckbox = document.getElementById("prediction-enabled");
+const predictionModeSelect = document.getElementById("prediction-mode");
+const adaptiveDwellCheckbox = document.getElementById("adaptive-dwell");
+const layoutAnimationCheckbox = document.getElementById("layout-animation");
 const scanSpeedSlider = document.getElementById("scan-speed");
 const scanAnimationSelect = document.getElementById("scan-animation");
 const toggleControlsBtn = document.getElementById('toggle-controls');
 const controlsDiv = document.getElementById('controls');
 const scanStartBtn = document.getElementById('scan-start-btn');
+const undoForgetCheckbox = document.getElementById('undo-forget-enabled');
+const resetModelBtn = document.getElementById('reset-model-btn');
+const downloadModelBtn = document.getElementById('download-model-btn');
+const modelFileInput = document.getElementById('model-file');
+const switchModeSelect = document.getElementById('switch-mode');
+const switchMappingElement = document.getElementById('switch-mapping');
+const resetSwitchesBtn = document.getElementById('reset-switches-btn');
+const acceptanceTimeInput = document.getElementById('acceptance-time');
+const lockoutTimeInput = document.getElementById('lockout-time');
+const firstItemDelayInput = document.getElementById('first-item-delay');
+const ignoreRepeatCheckbox = document.getElementById('ignore-repeat');
+const passLimitInput = document.getElementById('pass-limit');
+const timeoutActionSelect = document.getElementById('timeout-action');
+const timeoutBeepCheckbox = document.getElementById('timeout-beep');
+const scanStatusElement = document.getElementById('scan-status');
+const auditoryScanningCheckbox = document.getElementById('auditory-scanning');
+const voiceSelect = document.getElementById('voice-select');
+const speechLangSelect = document.getElementById('speech-lang');
+const testVoiceBtn = document.getElementById('test-voice-btn');
+const profileSelect = document.getElementById('profile-select');
+const newProfileBtn = document.getElementById('new-profile-btn');
+const deleteProfileBtn = document.getElementById('delete-profile-btn');
+const exportProfileBtn = document.getElementById('export-profile-btn');
+const profileFileInput = document.getElementById('profile-file');
+const modelOrderInput = document.getElementById('model-order');
+const knAlphaInput = document.getElementById('kn-alpha');
+const knBetaInput = document.getElementById('kn-beta');
+const useExclusionCheckbox = document.getElementById('use-exclusion');
 
 // Remove scan button styles
 const style = document.createElement('style');
@@ -76,47 +234,210 @@ document.head.appendChild(style);
 
 // State variables
 let message = "";
-let scanIndex = 0;
 let scanning = false;
 let scanMode = "linear";
-let usePredictions = true;
+let predictionMode = "first"; // "off", "first" (top 6 on the first loop) or "full"
+let adaptiveDwell = false;
 let scanSpeed = 500;
 let scanAnimation = "highlight";
 let ppm = null;
 let context = null;
-let currentRowIndex = -1;
-let scanInterval = null;
-let currentHighlightedElement = null;
 let currentWord = '';
 let autocorrectEnabled = true;
+let inputHistory = []; // Undo stack, one entry per selected character or word
+let undoForgetsLearning = true;
+let currentPage = symbolSet.firstPage;
+let animateLayout = true;
+let gridColumns = 1; // Set by initGrid()
 
-// Keyboard layouts
-const layouts = {
-  abc: "ABCDEFGHIJKLMNOPQRSTUVWXYZ ".split(""),
-  qwerty: "QWERTYUIOPASDFGHJKLZXCVBNM ".split(""),
-  frequency: "ETAOINSHRDLUCMFWYPVBGKJQXZ ".split("") // Common English letter frequency
+// Unanswered passes before scanning times out, per scan mode (0 = never)
+const scanPassLimits = {
+  "linear": 3,
+  "row-column": 0,
+  "column-row": 0,
+  "block": 0,
+  "huffman": 3
 };
+let timeoutAction = "pause"; // "pause", "restart" or "speak"
+let timeoutBeep = true;
+let audioContext = null;
 
-// Initialize the grid
-function initGrid(layout = 'abc') {
+// Auditory scanning announces each highlight with the cue voice, which is
+// set up separately from the voice speaking the message
+let auditoryScanning = false;
+const cueVoice = { rate: 1.5, pitch: 1, volume: 1 };
+let currentCue = null; // Latest cue asked for
+let cueSpeaking = false;
+// Message speech in progress, which cues wait for rather than cut off
+let messageSpeech = null;
+
+// Speech output, see speech_engine.js
+const speechEngine = window.createSpeechEngine();
+const speechSettings = {
+  voice: '', // Voice id, '' for the default voice
+  lang: '',
+  rate: 1,
+  pitch: 1,
+  volume: 1,
+  speakLetters: false, // Echo each typed symbol
+  speakWords: false, // Speak each completed word
+  speakSentences: false // Speak the sentence on terminal punctuation
+};
+
+// Auto-speak checkboxes and the speech settings they control
+const speakSettingCheckboxes = [
+  ['speak-letters', 'speakLetters'],
+  ['speak-words', 'speakWords'],
+  ['speak-sentences', 'speakSentences']
+];
+
+// Spoken names of the symbols that don't read well on their own
+const symbolCueNames = {
+  ' ': 'space',
+  '.': 'full stop',
+  ',': 'comma',
+  '?': 'question mark',
+  '!': 'exclamation mark',
+  "'": 'apostrophe',
+  '-': 'dash'
+};
+
+// Spoken names of the word bars
+const wordGroupCueNames = {
+  'phrase': 'phrases',
+  'prediction': 'predictions',
+  'correction': 'corrections',
+  'quick-phrase': 'quick phrases',
+  'history-item': 'history',
+  'history-action': 'message actions'
+};
+
+// Number of past messages shown in the history bar
+const recentHistoryCount = 5;
+let switchMode = "auto"; // "auto" (one switch), "step" (two switches) or "inverse"
+let switchHeld = false; // Select switch held down, for inverse scanning
+
+// Keys, mouse buttons and gamepad buttons operating the scanner. Mouse
+// buttons keep working normally on the controls.
+const switchInput = new window.SwitchInput({
+  ignoreMouseTarget: target => Boolean(target.closest('#controls, button'))
+});
+
+// Scanning state machine, rendered by the listeners set up in initApp()
+const scanEngine = new window.ScanEngine({
+  dwellTime: relativeProb => getDwellTime(relativeProb)
+});
+
+// Settings of a new profile: the state above, before any profile is applied
+const defaultSettings = getSettings();
+
+// Range of the adaptive dwell time, as multiples of the scan speed
+const minDwellFactor = 0.6;
+const maxDwellFactor = 1.5;
+
+// Initialize the grid with the current page of the symbol set, followed by
+// keys switching to the other pages. The layout orders the letters page.
+function initGrid(layout = layoutSelect.value) {
+  const dynamic = layout === "dynamic";
+  const previousPositions = dynamic && animateLayout ? getCellPositions() : null;
   gridElement.innerHTML = ''; // Clear existing grid
-  const letters = layouts[layout];
+  const letters = symbolSet.getPageSymbols(currentPage, layout);
+  const pageKeys = symbolSet.pageNames.filter(name => name !== currentPage);
   const numRows = 6; // Define rows for row-column scanning
-  const numCols = Math.ceil(letters.length / numRows);
+  const numCols = Math.ceil((letters.length + pageKeys.length) / numRows);
   gridElement.style.gridTemplateColumns = `repeat(${numCols}, 1fr)`;
+  gridColumns = numCols;
 
+  let cells = [];
   letters.forEach((char) => {
     const letterElement = document.createElement("div");
     letterElement.classList.add("letter");
     letterElement.textContent = char;
     letterElement.dataset.char = char;
-    gridElement.appendChild(letterElement);
+    cells.push(letterElement);
+  });
+
+  pageKeys.forEach((name) => {
+    const keyElement = document.createElement("div");
+    keyElement.classList.add("letter", "page-key");
+    keyElement.textContent = symbolSet.pages[name].label;
+    keyElement.dataset.page = name;
+    cells.push(keyElement);
   });
+
+  if (dynamic) {
+    cells = arrangeByProbability(cells, numCols);
+  }
+  cells.forEach(cell => gridElement.appendChild(cell));
+
+  if (previousPositions) {
+    animateCellMoves(previousPositions);
+  }
+}
+
+// Order cells so the most probable ones take the grid positions reached with
+// the fewest scan steps in the current scan mode
+function arrangeByProbability(cells, numCols) {
+  const cellProbs = getCellProbabilities(cells);
+  return window.arrangeGridByProbability(cells, numCols, scanMode,
+                                         cell => cellProbs.get(cell));
+}
+
+// Identifies a cell across grid rebuilds
+function getCellKey(el) {
+  return el.dataset.page ? `page:${el.dataset.page}` : el.dataset.char;
+}
+
+// Screen position of every cell currently in the grid
+function getCellPositions() {
+  const positions = new Map();
+  gridElement.querySelectorAll(".letter").forEach(el => {
+    positions.set(getCellKey(el), el.getBoundingClientRect());
+  });
+  return positions;
+}
+
+// Slide cells from their previous positions to the new ones, so the user can
+// follow where the symbols moved
+function animateCellMoves(previousPositions) {
+  gridElement.querySelectorAll(".letter").forEach(el => {
+    const previous = previousPositions.get(getCellKey(el));
+    if (!previous) return;
+    const current = el.getBoundingClientRect();
+    const dx = previous.left - current.left;
+    const dy = previous.top - current.top;
+    if (dx === 0 && dy === 0) return;
+    el.style.transition = 'none';
+    el.style.transform = `translate(${dx}px, ${dy}px)`;
+    el.offsetHeight; // Apply the offset before transitioning away from it
+    el.style.transition = '';
+    el.style.transform = '';
+  });
+}
+
+// Show another page of the symbol set
+function switchPage(name) {
+  currentPage = name;
+  initGrid();
+  updateProbabilityHighlights();
+  if (scanning) {
+    stopScanning();
+    startScanning();
+  }
+}
+
+// Select a grid cell: type its symbol or switch to its page
+function activateCell(el) {
+  if (el.dataset.page) {
+    switchPage(el.dataset.page);
+  } else {
+    selectCharacter(el.dataset.char);
+  }
 }
 
 // Update Predictions
 function getCurrentWord() {
-  const words = message.split(' ');
+  const words = message.split(/[\s.,?!]/); // Same breaks as vocab.wordBreakSymbols
   const currentWord = words[words.length - 1] || '';
   console.log('Getting current word:', currentWord);
   return currentWord;
@@ -128,8 +449,8 @@ function getTopPredictions(context, topN = 6) {
   
   // Convert probabilities to sorted array of {symbol, prob} pairs
   const predictions = probs
-    .map((prob, index) => ({ symbol: window.vocab.symbols_[index], prob }))
-    .filter(entry => entry.prob > 0 && entry.symbol.match(/[A-Z ]/)) // Only include letters and space
+    .map((prob, index) => ({ symbol: vocab.symbols_[index], prob }))
+    .filter(entry => entry.prob > 0 && symbolSet.has(entry.symbol)) // Only include symbols on the grid
     .sort((a, b) => b.prob - a.prob);
 
   // Get top N letter predictions
@@ -137,9 +458,12 @@ function getTopPredictions(context, topN = 6) {
     .slice(0, topN)
     .map(entry => entry.symbol);
 
-  // Get word predictions
+  // Get word predictions, ranked by how likely the model is to spell them.
+  // After a space, predict the next word from the words before it instead.
   const currentWord = getCurrentWord();
-  const wordPredictions = window.vocab.getWordPredictions(currentWord);
+  const wordPredictions = currentWord ?
+    vocab.getWordPredictions(currentWord, rest => getSpellingLogProb(context, rest)) :
+    wordModel.predict(getSentenceWords(message));
 
   return {
     letters: letterPredictions,
@@ -147,6 +471,36 @@ function getTopPredictions(context, topN = 6) {
   };
 }
 
+// Index where the sentence at the end of the text starts
+function getSentenceStart(text) {
+  const match = text.match(/^[\s\S]*[\n.?!]\s*/);
+  return match ? match[0].length : 0;
+}
+
+// Cleaned words of the sentence at the end of the text
+function getSentenceWords(text) {
+  const sentences = wordModel.tokenize(text + ' ');
+  return /[\n.?!]\s*$/.test(text) || sentences.length === 0 ?
+    [] : sentences[sentences.length - 1];
+}
+
+// Record the word just completed at the end of the message. The break that
+// completed it may also end the sentence, so the words are taken from the
+// text before the break.
+function learnCompletedWord(journal) {
+  const words = getSentenceWords(message.replace(/[\s.,?!]+$/, ''));
+  if (words.length > 0) {
+    wordModel.addWord(words.slice(0, -1), words[words.length - 1], journal);
+  }
+}
+
+// Log probability of typing `rest` and then ending the word
+function getSpellingLogProb(context, rest) {
+  const symbols = normalizer.normalize(rest + ' ', getLastSymbol(message));
+  return ppm.getSequenceLogProb(context,
+    symbols.map(symbol => vocab.getSymbolIndex(symbol)));
+}
+
 function updatePredictions() {
   const predictions = getTopPredictions(context, 6);
   console.log('Updating predictions display:', predictions);
@@ -155,7 +509,7 @@ function updatePredictions() {
   const currentWord = getCurrentWord();
   let corrections = [];
   if (currentWord.length >= 3 && autocorrectEnabled) {
-    corrections = window.vocab.getAutocorrections(currentWord);
+    corrections = vocab.getAutocorrections(currentWord);
     console.log('Current corrections:', corrections);
   }
   
@@ -204,10 +558,29 @@ function updatePredictions() {
     // Show/hide corrections container based on whether we have corrections
     correctionsContainer.style.display = filteredCorrections.length > 0 ? 'flex' : 'none';
   }
+
+  updatePhrases();
+}
+
+// Suggest whole phrases that continue the current sentence
+function updatePhrases() {
+  const typed = message.slice(getSentenceStart(message));
+  const phrases = phraseStore.findMatches(typed, 3);
+  document.querySelectorAll('#phrases .phrase').forEach((el, index) => {
+    const phrase = phrases[index];
+    el.textContent = phrase || '';
+    el.style.display = phrase ? 'block' : 'none';
+    el.onclick = phrase ? () => selectPhrase(phrase) : null;
+  });
 }
 
 // Add this function to update probability highlighting
 function updateProbabilityHighlights() {
+  // The dynamic layout is rearranged for the new context
+  if (layoutSelect.value === "dynamic") {
+    initGrid();
+  }
+
   const letterElements = Array.from(document.querySelectorAll(".letter"));
   // Clear existing probability classes
   letterElements.forEach(el => {
@@ -228,23 +601,133 @@ function updateProbabilityHighlights() {
   });
 }
 
+// Start an undo entry capturing the state before a selection
+function beginHistoryEntry() {
+  const entry = {
+    previousMessage: message,
+    previousWord: currentWord,
+    previousVocabWord: vocab.currentWord,
+    ppmUpdates: [], // Journal of model changes, see ppm.undoUpdates()
+    wordUpdates: [], // Journal of vocabulary changes, see vocab.undoWordUpdates()
+    ngramUpdates: [], // Journal of word n-gram changes, see wordModel.undoUpdates()
+    phraseUpdates: [] // Journal of phrase changes, see phraseStore.undoUpdates()
+  };
+  inputHistory.push(entry);
+  return entry;
+}
+
+// Rebuild a context by replaying text without updating the model. Like every
+// training sentence, the text starts after a sentence boundary.
+function buildContext(text) {
+  const newContext = ppm.createContext();
+  const symbols = [normalizer.sentenceBoundarySymbol, ...normalizer.normalize(text)];
+  symbols.forEach(symbol => {
+    ppm.addSymbolToContext(newContext, vocab.getSymbolIndex(symbol));
+  });
+  return newContext;
+}
+
+// Last symbol the model saw for the text, the boundary for empty text
+function getLastSymbol(text) {
+  const symbols = normalizer.normalize(text);
+  return symbols.length > 0 ?
+    symbols[symbols.length - 1] : normalizer.sentenceBoundarySymbol;
+}
+
+// Normalize text that follows `precedingText` and feed it to the model
+function learnText(text, journal, precedingText = message) {
+  normalizer.normalize(text, getLastSymbol(precedingText)).forEach(symbol => {
+    ppm.addSymbolAndUpdate(context, vocab.getSymbolIndex(symbol), journal);
+  });
+}
+
+// Save the adapted model once the user pauses
+function scheduleModelSave() {
+  clearTimeout(modelSaveTimer);
+  modelSaveTimer = setTimeout(saveModel, 2000);
+}
+
+function saveModel() {
+  clearTimeout(modelSaveTimer);
+  modelSaveTimer = null;
+  return modelStore.save(window.createModelFile(getModels()));
+}
+
+// Download the current model as a file that can be loaded on other devices
+function downloadModel() {
+  downloadJSON(window.createModelFile(getModels()), 'ppm-model.json');
+}
+
+// Save an object as a JSON file through the browser's download
+function downloadJSON(data, fileName) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data)],
+                                           { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Some browsers cancel the download if the URL is revoked straight away
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Replace the current model with one loaded from a model file
+async function importModel(file) {
+  try {
+    ppm = window.loadModelFile(JSON.parse(await file.text()), getModels(), modelOptions);
+    registerSymbols();
+  } catch (error) {
+    console.error('Error loading model file:', error);
+    alert('Could not load model: ' + error.message);
+    return;
+  }
+  clearMessage();
+  renderModelOptions();
+  saveModel();
+}
+
+// Forget everything learned from the user and go back to the base model
+async function resetModel() {
+  if (!confirm('Forget everything learned from your typing?')) return;
+  clearTimeout(modelSaveTimer);
+  modelSaveTimer = null;
+  await modelStore.clear();
+  const model = await loadBaseModel();
+  if (model) {
+    ppm = model.ppm;
+    clearMessage();
+    renderModelOptions();
+  }
+}
+
 // Handle selection
 function selectCharacter(char) {
   if (char) {
-    if (char === ' ') {
-      // When space is selected, add the current word to vocabulary
-      if (currentWord) {
-        vocab.addWord(currentWord);
-        currentWord = '';
-      }
+    const entry = beginHistoryEntry();
+    const isWordBreak = vocab.wordBreakSymbols.has(char);
+    const completesWord = isWordBreak && currentWord;
+    if (isWordBreak) {
+      // When a word break is selected, the vocabulary records the completed word
+      currentWord = '';
     } else {
       currentWord = (currentWord || '') + char;
     }
 
+    learnText(char, entry.ppmUpdates);
     message += char;
     messageElement.textContent = message;
-    vocab.updateCurrentWord(char);
-    ppm.addSymbolAndUpdate(context, vocab.getSymbolIndex(char));
+    speakTypedSymbol(char, completesWord);
+    vocab.updateCurrentWord(char, entry.wordUpdates);
+    if (completesWord) {
+      learnCompletedWord(entry.ngramUpdates);
+    }
+
+    // Shift-like pages go back to the first page after one symbol
+    if (currentPage !== symbolSet.firstPage &&
+        symbolSet.pages[currentPage].returnToFirstPage) {
+      currentPage = symbolSet.firstPage;
+      initGrid();
+    }
+    scheduleModelSave();
     
     // Update UI
     updatePredictions();
@@ -262,85 +745,259 @@ function selectCharacter(char) {
 // Handle word selection
 function selectWord(word) {
   if (word) {
+    const entry = beginHistoryEntry();
+
     // Remove the current incomplete word
-    const words = message.split(' ');
-    words.pop();
-    message = words.join(' ');
-    if (message.length > 0) message += ' ';
+    const partialWord = getCurrentWord();
+    let baseMessage = message.slice(0, message.length - partialWord.length);
+    if (baseMessage.length > 0 && !/\s$/.test(baseMessage)) baseMessage += ' ';
+
+    // Update PPM model with the rest of the word, or with the whole word if a
+    // correction replaced what was typed so far
+    if (word.startsWith(partialWord)) {
+      learnText(word.slice(partialWord.length) + ' ', entry.ppmUpdates);
+    } else {
+      context = buildContext(baseMessage);
+      learnText(word + ' ', entry.ppmUpdates, baseMessage);
+    }
     
+    vocab.useWord(word, entry.wordUpdates);
+
     // Add the selected word
-    message += word + ' ';
+    message = baseMessage + word + ' ';
     messageElement.textContent = message;
-    
-    // Update PPM model with each character
-    const chars = (word + ' ').split('');
-    chars.forEach(char => {
-      ppm.addSymbolAndUpdate(context, vocab.getSymbolIndex(char));
-    });
+    if (speechSettings.speakWords) {
+      speak(word);
+    }
+    learnCompletedWord(entry.ngramUpdates);
+    scheduleModelSave();
 
     // Reset current word and update UI
     currentWord = '';
+    vocab.currentWord = '';
     updatePredictions();
     updateProbabilityHighlights();
     updateSuggestions();
+
+    // Restart scanning with new predictions
+    if (scanning) {
+      stopScanning();
+      startScanning();
+    }
   }
 }
 
-// Event listeners for controls
-layoutSelect.addEventListener("change", (e) => {
-  initGrid(e.target.value);
-  updateProbabilityHighlights();
-  if (scanning) {
-    stopScanning();
-    startScanning();
+// Handle phrase selection: the phrase replaces the current sentence
+function selectPhrase(phrase) {
+  if (phrase) {
+    const entry = beginHistoryEntry();
+    const sentenceStart = getSentenceStart(message);
+    let baseMessage = message.slice(0, sentenceStart);
+    if (baseMessage.length > 0 && !/\s$/.test(baseMessage)) baseMessage += ' ';
+    const typed = message.slice(sentenceStart);
+    const text = phrase + ' ';
+
+    // As for words, only the part that was not typed yet is new to the models
+    let typedWords = [];
+    if (text.startsWith(typed)) {
+      learnText(text.slice(typed.length), entry.ppmUpdates);
+      const completed = typed.slice(0, typed.length - getCurrentWord().length);
+      typedWords = wordModel.tokenize(completed)[0] || [];
+    } else {
+      context = buildContext(baseMessage);
+      learnText(text, entry.ppmUpdates, baseMessage);
+    }
+    learnWords(phrase, entry, typedWords.length);
+    phraseStore.usePhrase(phrase, entry.phraseUpdates);
+
+    message = baseMessage + text;
+    messageElement.textContent = message;
+    if (speechSettings.speakSentences) {
+      speak(phrase);
+    }
+    currentWord = '';
+    vocab.currentWord = '';
+    scheduleModelSave();
+
+    updatePredictions();
+    updateProbabilityHighlights();
+    updateSuggestions();
+
+    if (scanning) {
+      stopScanning();
+      startScanning();
+    }
   }
-});
+}
 
-predictionCheckbox.addEventListener("change", (e) => {
-  usePredictions = e.target.checked;
-  if (scanning) {
-    stopScanning();
-    startScanning();
+// Select a scanned phrase, prediction, correction or history entry
+function activateWordElement(el) {
+  if (el.classList.contains('phrase')) {
+    selectPhrase(el.textContent);
+  } else if (el.classList.contains('quick-phrase')) {
+    speakHistoryEntry(messageHistory.get(Number(el.dataset.id)));
+  } else if (el.classList.contains('history-item')) {
+    openHistoryEntry(messageHistory.get(Number(el.dataset.id)));
+  } else if (el.classList.contains('history-action')) {
+    runHistoryAction(el.dataset.action);
+  } else {
+    selectWord(el.textContent);
   }
-});
+}
 
-scanModeSelect.addEventListener("change", (e) => {
-  scanMode = e.target.value;
-  if (scanning) {
-    stopScanning();
-    startScanning();
+// Show the quick phrases, the most recent messages and, for a chosen
+// message, its actions
+function renderHistory() {
+  const quickPhrasesElement = document.getElementById('quick-phrases');
+  quickPhrasesElement.innerHTML = '';
+  messageHistory.pinned().forEach(entry => {
+    quickPhrasesElement.appendChild(createHistoryElement('quick-phrase', entry));
+  });
+
+  const historyListElement = document.getElementById('history-list');
+  historyListElement.innerHTML = '';
+  messageHistory.recent(recentHistoryCount).forEach(entry => {
+    historyListElement.appendChild(createHistoryElement('history-item', entry));
+  });
+
+  const actionsElement = document.getElementById('history-actions');
+  actionsElement.style.display = selectedHistoryEntry ? 'flex' : 'none';
+  actionsElement.querySelectorAll('.history-action').forEach(el => {
+    el.style.display = selectedHistoryEntry ? 'block' : 'none';
+    if (el.dataset.action === 'pin' && selectedHistoryEntry) {
+      el.textContent = selectedHistoryEntry.pinned ? 'Unpin' : 'Pin';
+    }
+    el.onclick = () => activateWordElement(el);
+  });
+}
+
+function createHistoryElement(className, entry) {
+  const el = document.createElement('div');
+  el.classList.add(className);
+  if (entry === selectedHistoryEntry) el.classList.add('selected');
+  el.textContent = entry.text;
+  el.dataset.id = entry.id;
+  el.title = new Date(entry.time).toLocaleString();
+  el.onclick = () => activateWordElement(el);
+  return el;
+}
+
+// Offer the actions for a past message
+function openHistoryEntry(entry) {
+  selectedHistoryEntry = entry || null;
+  renderHistory();
+  restartScanning();
+}
+
+function closeHistoryEntry() {
+  selectedHistoryEntry = null;
+  renderHistory();
+  restartScanning();
+}
+
+function runHistoryAction(action) {
+  const entry = selectedHistoryEntry;
+  if (!entry) return;
+  if (action === 'speak') {
+    speakHistoryEntry(entry);
+  } else if (action === 'edit') {
+    editHistoryEntry(entry);
+  } else if (action === 'pin') {
+    messageHistory.togglePin(entry.id);
   }
-});
+  closeHistoryEntry();
+}
 
-scanSpeedSlider.addEventListener("input", (e) => {
-  scanSpeed = parseInt(e.target.value, 10);
-  document.getElementById('speed-value').textContent = scanSpeed + 'ms';
+// Speak a past message again
+function speakHistoryEntry(entry) {
+  if (!entry) return;
+  speak(entry.text);
+  learnSpokenMessage(entry.text, beginHistoryEntry());
+  messageHistory.add(entry.text);
+  renderHistory();
+  restartScanning();
+}
+
+// Replace the message with a past one to change it. Undo restores the
+// message that was replaced.
+function editHistoryEntry(entry) {
+  beginHistoryEntry();
+  message = entry.text + ' ';
+  messageElement.textContent = message;
+  currentWord = '';
+  vocab.currentWord = '';
+  context = buildContext(message);
+  updatePredictions();
+  updateProbabilityHighlights();
+  updateSuggestions();
+}
+
+// A message spoken again from the history counts as used like a freshly
+// typed one: the models learn its symbols, words and phrase. The changes go
+// into the undo entry, so undo stays consistent with the models.
+function learnSpokenMessage(text, entry) {
+  const learnContext = buildContext('');
+  normalizer.normalize(text).forEach(symbol => {
+    ppm.addSymbolAndUpdate(learnContext, vocab.getSymbolIndex(symbol), entry.ppmUpdates);
+  });
+  learnWords(text, entry);
+  phraseStore.usePhrase(text, entry.phraseUpdates);
+  scheduleModelSave();
+}
+
+// Count the words of the text as used by the vocabulary and the word n-gram
+// model, except the first `skip` words, which were learned as they were typed
+function learnWords(text, entry, skip = 0) {
+  wordModel.tokenize(text).forEach((words, index) => {
+    const start = index === 0 ? skip : 0;
+    words.slice(start).forEach((word, i) => {
+      vocab.useWord(word, entry.wordUpdates);
+      wordModel.addWord(words.slice(0, start + i), word, entry.ngramUpdates);
+    });
+  });
+}
+
+// Restart scanning so it picks up changed word bars
+function restartScanning() {
   if (scanning) {
     stopScanning();
     startScanning();
   }
-});
+}
 
 // Function to stop scanning
 function stopScanning() {
-  if (scanInterval) {
-    clearInterval(scanInterval);
-    scanInterval = null;
-  }
+  scanEngine.stop();
   scanning = false;
-  scanIndex = 0;
-  currentRowIndex = -1;
-  
-  // Clear all highlights
-  const letterElements = Array.from(document.querySelectorAll(".letter"));
-  letterElements.forEach((el) => el.classList.remove("highlight", "pulse", "line", "row-highlight"));
-  
-  // Clear prediction highlights
-  document.querySelectorAll('.prediction, .correction').forEach((el) => {
-    el.classList.remove("highlight", "pulse", "line");
+  clearScanHighlights();
+}
+
+function clearScanHighlights() {
+  document.querySelectorAll(".letter").forEach((el) => {
+    el.classList.remove("highlight", "pulse", "line", "row-highlight");
+  });
+  clearWordHighlights();
+}
+
+function clearWordHighlights() {
+  document.querySelectorAll('.phrase, .prediction, .correction, .quick-phrase, ' +
+                            '.history-item, .history-action').forEach((el) => {
+    el.classList.remove("highlight", "pulse", "line", "row-highlight");
   });
 }
 
+// The word bars are scanned as groups ahead of the grid: the actions of a
+// chosen history message, phrases, predictions, corrections, quick phrases
+// and recent messages. Only bars with visible entries are returned.
+function getWordScanGroups() {
+  return ['#history-actions .history-action', '#phrases .phrase',
+          '#predictions .prediction', '#corrections .correction',
+          '#quick-phrases .quick-phrase', '#history-list .history-item']
+    .map(selector => Array.from(document.querySelectorAll(selector))
+      .filter(el => el.textContent && el.style.display !== 'none'))
+    .filter(group => group.length > 0);
+}
+
 // Scanning
 function startScanning() {
   console.log('Starting scanning...');
@@ -351,18 +1008,20 @@ function startScanning() {
 
   stopScanning();
   scanning = true;
+  clearScanStatus();
 
   document.documentElement.style.setProperty('--scan-speed', `${scanSpeed}ms`);
 
   const letterElements = Array.from(document.querySelectorAll(".letter"));
-  let predictions = getTopPredictions(context, 6);
-  let firstLoopComplete = false;
-  let predictiveScanningDone = !usePredictions;
-  let predictedLetterElements = [];
-  let loopCount = 0;
+
+  // Probability of selecting each cell next, used for the fully predictive
+  // order, the Huffman tree and the adaptive dwell
+  const cellProbs = getCellProbabilities(letterElements);
 
   // If using predictions, prepare the predicted letters order
-  if (usePredictions) {
+  let predictedLetterElements = [];
+  if (predictionMode === "first" && scanMode !== "huffman") {
+    const predictions = getTopPredictions(context, 6);
     // Create a map of predicted letters for quick lookup
     const predictionMap = new Map(
       predictions.letters.map((letter, index) => [letter, index])
@@ -379,133 +1038,647 @@ function startScanning() {
       predictedLetterElements.map(el => el.dataset.char).join(', '));
   }
 
-  scanIndex = 0;
-  currentRowIndex = -1;
+  scanEngine.start({
+    mode: scanMode,
+    groups: getWordScanGroups(),
+    cells: letterElements,
+    tree: window.getGridScanTree(letterElements, gridColumns, scanMode),
+    predicted: predictedLetterElements,
+    fullPredictive: predictionMode === "full",
+    probability: el => cellProbs.get(el),
+    maxPasses: scanPassLimits[scanMode] || 0
+  });
 
-  scanInterval = setInterval(() => {
-    if (!scanning) {
-      clearInterval(scanInterval);
+  if (switchMode === "step") {
+    scanEngine.step(); // Show the first item, the advance switch moves on
+  } else if (switchMode === "auto" || switchHeld) {
+    scanEngine.run();
+  }
+}
+
+// Show the engine's highlight on the page
+function renderScanHighlight({ items, kind, dwell }) {
+  clearScanHighlights();
+  items.forEach(el => {
+    if (kind === "group") {
+      el.classList.add("row-highlight");
       return;
     }
+    if (scanAnimation === 'line') {
+      // Restart the animation
+      el.style.animation = 'none';
+      el.offsetHeight;
+      el.style.animation = null;
+    }
+    el.classList.add(scanAnimation);
+  });
+  document.documentElement.style.setProperty('--scan-speed', `${dwell}ms`);
 
-    // Clear previous highlights
-    letterElements.forEach((el) => {
-      el.classList.remove("highlight", "pulse", "line", "row-highlight");
-      if (scanAnimation === 'line') {
-        el.style.animation = 'none';
-        el.offsetHeight;
-        el.style.animation = null;
-      }
+  // The scan moves on once the cue has been spoken
+  if (auditoryScanning) {
+    scanEngine.waitFor(speakCue(getScanCue(items, kind)));
+  }
+}
+
+// Short spoken description of a highlight: the symbol or word, "row 3",
+// "predictions" and so on
+function getScanCue(items, kind) {
+  if (kind === "item") {
+    return getCellCue(items[0]);
+  }
+  const first = items[0];
+  if (!first.classList.contains("letter")) {
+    const type = Object.keys(wordGroupCueNames).find(name => first.classList.contains(name));
+    return wordGroupCueNames[type];
+  }
+
+  // Name groups of cells after their place in the grid
+  const cells = Array.from(gridElement.querySelectorAll(".letter"));
+  const indices = items.map(el => cells.indexOf(el));
+  const rows = new Set(indices.map(index => Math.floor(index / gridColumns)));
+  const columns = new Set(indices.map(index => index % gridColumns));
+  if (rows.size === 1) {
+    return `row ${Math.floor(indices[0] / gridColumns) + 1}`;
+  }
+  if (columns.size === 1) {
+    return `column ${indices[0] % gridColumns + 1}`;
+  }
+  if (scanMode === "block") {
+    const blocks = window.getGridScanTree(cells, gridColumns, "block");
+    return `block ${blocks.findIndex(block => block.some(row => row.includes(first))) + 1}`;
+  }
+  // Huffman halves are named by their first symbols
+  const names = items.slice(0, 3).map(getCellCue);
+  return items.length > 3 ? `${names.join(', ')} and more` : names.join(', ');
+}
+
+// Spoken name of a grid cell or word element
+function getCellCue(el) {
+  if (el.dataset.page) {
+    return `${symbolSet.pages[el.dataset.page].label} page`;
+  }
+  if (el.dataset.char !== undefined) {
+    return getSymbolCue(el.dataset.char);
+  }
+  return el.textContent;
+}
+
+// Spoken name of a symbol
+function getSymbolCue(char) {
+  return symbolCueNames[char] || char;
+}
+
+/**
+ * Speaks a scanning cue with the cue voice, interrupting the previous cue.
+ * Cues wait for the message being spoken, and only the latest of the cues
+ * that waited is spoken after it.
+ * @param {string} text Cue to speak.
+ * @return {!Promise} Resolved when the cue has been spoken or skipped.
+ */
+function speakCue(text) {
+  const cue = {};
+  currentCue = cue;
+  // Same voice as the message, at the cue's rate, pitch and volume
+  const options = Object.assign(getSpeechOptions(), cueVoice);
+  const speakWhenQuiet = () => {
+    if (currentCue !== cue) return null;
+    if (messageSpeech) return messageSpeech.then(speakWhenQuiet);
+    // The engine can only cancel all speech, which is now just the old cue
+    if (cueSpeaking) speechEngine.cancel();
+    cueSpeaking = true;
+    return speechEngine.speak(text, options).then(() => {
+      if (currentCue === cue) cueSpeaking = false;
     });
+  };
+  const spoken = Promise.resolve().then(speakWhenQuiet);
+  // Don't hold the scan for long if the engine never reports the end
+  return Promise.race([spoken, new Promise(resolve => setTimeout(resolve, 3000))]);
+}
 
-    // First loop with predictions if enabled
-    if (usePredictions && !predictiveScanningDone) {
-      if (scanIndex < predictedLetterElements.length) {
-        const letterEl = predictedLetterElements[scanIndex];
-        letterEl.classList.add(scanAnimation);
-        scanIndex++;
-      } else {
-        predictiveScanningDone = true;
-        scanIndex = 0;
-        currentRowIndex = -1;
-      }
+// Voice settings for speaking the message
+function getSpeechOptions() {
+  const { voice, lang, rate, pitch, volume } = speechSettings;
+  return { voice, lang, rate, pitch, volume };
+}
+
+// Speak text with the message voice
+function speak(text) {
+  const spoken = speechEngine.speak(text, getSpeechOptions());
+  // Messages are spoken in turn, so the last one finishes after the others
+  const speech = spoken.then(() => {
+    if (messageSpeech === speech) messageSpeech = null;
+  });
+  messageSpeech = speech;
+  return spoken;
+}
+
+// Auto-speak after a symbol was typed: the sentence on terminal punctuation,
+// the completed word on a word break, otherwise the symbol itself
+function speakTypedSymbol(char, completedWord) {
+  if (speechSettings.speakSentences && /[.?!]/.test(char)) {
+    const before = message.slice(0, -1);
+    const sentence = message.slice(getSentenceStart(before)).trim();
+    if (sentence) {
+      speak(sentence);
+      return;
+    }
+  }
+  if (speechSettings.speakWords && completedWord) {
+    speak(completedWord);
+  } else if (speechSettings.speakLetters) {
+    speak(getSymbolCue(char));
+  }
+}
+
+// Fill the language and voice lists from the speech engine
+function renderVoiceOptions() {
+  const voices = speechEngine.getVoices();
+  const langs = [...new Set(voices.map(voice => voice.lang))].sort();
+  speechLangSelect.innerHTML = '<option value="">Any language</option>';
+  langs.forEach(lang => speechLangSelect.add(new Option(lang, lang)));
+  speechLangSelect.value = langs.includes(speechSettings.lang) ? speechSettings.lang : '';
+
+  voiceSelect.innerHTML = '<option value="">Default voice</option>';
+  voices
+    .filter(voice => !speechLangSelect.value || voice.lang === speechLangSelect.value)
+    .forEach(voice => voiceSelect.add(new Option(`${voice.name} (${voice.lang})`, voice.id)));
+  voiceSelect.value = speechSettings.voice || '';
+}
+
+// Type the chosen cell, or pick the chosen phrase, prediction or correction
+function activateScanItem({ item }) {
+  if (item.classList.contains("letter")) {
+    activateCell(item);
+  } else {
+    activateWordElement(item);
+  }
+}
+
+// A switch mapped to `action` was pressed
+function handleSwitchPress(action) {
+  if (action === "stop") {
+    stopScanning();
+    return;
+  }
+  if (switchMode === "inverse") {
+    // The scan only moves while the switch is held
+    if (action !== "select") return;
+    switchHeld = true;
+    if (scanning) {
+      scanEngine.run();
     } else {
-      // Regular scanning modes
-      if (scanMode === "row-column") {
-        const numCols = Math.ceil(letterElements.length / 6);
-        const numRows = Math.ceil(letterElements.length / numCols);
-
-        if (currentRowIndex === -1) {
-          // Scanning rows
-          const rowToHighlight = Math.floor(scanIndex / numCols);
-          letterElements.forEach((el, index) => {
-            const elementRow = Math.floor(index / numCols);
-            if (elementRow === rowToHighlight) {
-              el.classList.add("row-highlight");
-            }
-          });
-          
-          scanIndex = (scanIndex + 1) % numRows;
-          if (scanIndex === 0) {
-            if (!firstLoopComplete) {
-              firstLoopComplete = true;
-              predictiveScanningDone = !usePredictions;
-            }
-            currentRowIndex = 0;
-          }
-        } else {
-          // Scanning columns within selected row
-          const startIndex = currentRowIndex * numCols;
-          const endIndex = Math.min(startIndex + numCols, letterElements.length);
-          const columnIndex = scanIndex % numCols;
-          
-          if (startIndex + columnIndex < endIndex) {
-            letterElements[startIndex + columnIndex].classList.add(scanAnimation);
-          }
-          
-          scanIndex = (scanIndex + 1) % numCols;
-          if (scanIndex === 0) {
-            currentRowIndex = -1; // Reset to row scanning
-          }
-        }
-      } else {
-        // Linear scanning
-        if (scanIndex < letterElements.length) {
-          letterElements[scanIndex].classList.add(scanAnimation);
-        }
-        scanIndex = (scanIndex + 1) % letterElements.length;
-        if (scanIndex === 0) {
-          if (!firstLoopComplete) {
-            firstLoopComplete = true;
-            predictiveScanningDone = !usePredictions;
-          }
-          loopCount++;
-          if (loopCount >= 3) {
-            stopScanning();
-            return;
-          }
-        }
-      }
+      startScanning();
+    }
+  } else if (!scanning) {
+    startScanning();
+  } else if (action === "select") {
+    handleScanSelection();
+  } else if (switchMode === "step") {
+    scanEngine.step();
+  }
+}
+
+// A switch mapped to `action` was released
+function handleSwitchRelease(action) {
+  if (switchMode === "inverse" && action === "select") {
+    // Releasing the switch picks the highlighted item
+    switchHeld = false;
+    scanEngine.pause();
+    if (scanning) {
+      handleScanSelection();
+    }
+  }
+}
+
+// Show the switch mapped to each action, with a button to remap it
+function renderSwitchMapping() {
+  switchMappingElement.innerHTML = '';
+  window.switchActions.forEach(action => {
+    const button = document.createElement("button");
+    const bindings = switchInput.mapping[action].map(window.describeBinding);
+    button.textContent = `${action}: ${bindings.join(', ') || 'none'}`;
+    button.addEventListener("click", () => {
+      button.textContent = `${action}: press a switch...`;
+      switchInput.learn(action).then(() => {
+        saveSettings();
+        renderSwitchMapping();
+      });
+    });
+    switchMappingElement.appendChild(button);
+  });
+}
+
+// Every setting in the settings panel, as saved in the current profile
+function getSettings() {
+  return {
+    layout: layoutSelect.value,
+    animateLayout,
+    scanMode,
+    scanSpeed,
+    scanAnimation,
+    predictionMode,
+    adaptiveDwell,
+    autocorrect: autocorrectEnabled,
+    undoForgetsLearning,
+    model: Object.assign({}, modelOptions),
+    passLimits: Object.assign({}, scanPassLimits),
+    timeoutAction,
+    timeoutBeep,
+    auditoryScanning,
+    cueVoice: Object.assign({}, cueVoice),
+    speech: Object.assign({}, speechSettings),
+    switches: {
+      mode: switchMode,
+      mapping: window.SwitchInput.copyMapping(switchInput.mapping),
+      acceptanceTime: switchInput.acceptanceTime,
+      lockoutTime: switchInput.lockoutTime,
+      ignoreRepeat: switchInput.ignoreRepeat,
+      firstItemDelay: scanEngine.firstItemDelay
+    }
+  };
+}
+
+function saveSettings() {
+  profileStore.saveSettings(getSettings());
+}
+
+/**
+ * Checks settings, e.g. from an imported profile, against the controls that
+ * show them. A choice a select doesn't offer, or a number out of its input's
+ * range, is replaced by the default.
+ * @param {!Object} settings Settings to check.
+ * @return {!Object} Checked copy of the settings over the defaults.
+ */
+function checkSettings(settings) {
+  const checked = window.mergeSettings(defaultSettings, settings);
+  const isOption = (select, value) =>
+    Array.from(select.options).some(option => option.value === value);
+  const inRange = (input, value) =>
+    (input.min === '' || value >= Number(input.min)) &&
+    (input.max === '' || value <= Number(input.max));
+  const check = (object, defaults, key, valid) => {
+    if (!valid(object[key])) object[key] = defaults[key];
+  };
+
+  [[layoutSelect, 'layout'], [scanModeSelect, 'scanMode'],
+   [scanAnimationSelect, 'scanAnimation'], [predictionModeSelect, 'predictionMode'],
+   [timeoutActionSelect, 'timeoutAction']].forEach(([select, key]) => {
+    check(checked, defaultSettings, key, value => isOption(select, value));
+  });
+  check(checked.switches, defaultSettings.switches, 'mode',
+        value => isOption(switchModeSelect, value));
+  checked.switches.mapping = window.SwitchInput.copyMapping(checked.switches.mapping);
+
+  check(checked, defaultSettings, 'scanSpeed', value => inRange(scanSpeedSlider, value));
+  Object.keys(checked.passLimits).forEach(mode => {
+    check(checked.passLimits, defaultSettings.passLimits, mode,
+          value => Number.isInteger(value) && inRange(passLimitInput, value));
+  });
+  [[acceptanceTimeInput, 'acceptanceTime'], [lockoutTimeInput, 'lockoutTime'],
+   [firstItemDelayInput, 'firstItemDelay']].forEach(([input, key]) => {
+    check(checked.switches, defaultSettings.switches, key, value => inRange(input, value));
+  });
+  ['rate', 'pitch', 'volume'].forEach(setting => {
+    check(checked.cueVoice, defaultSettings.cueVoice, setting,
+          value => inRange(document.getElementById(`cue-${setting}`), value));
+    check(checked.speech, defaultSettings.speech, setting,
+          value => inRange(document.getElementById(`speech-${setting}`), value));
+  });
+  return checked;
+}
+
+/**
+ * Applies settings, see getSettings(), to the app state and the controls.
+ * Invalid settings are replaced by the defaults, see checkSettings().
+ * Rebuilds the grid for the layout; the caller restarts scanning.
+ * @param {!Object} settings Settings to apply.
+ */
+function applySettings(settings) {
+  settings = checkSettings(settings);
+  layoutSelect.value = settings.layout;
+  animateLayout = settings.animateLayout;
+  layoutAnimationCheckbox.checked = animateLayout;
+  scanMode = settings.scanMode;
+  scanModeSelect.value = scanMode;
+  scanSpeed = settings.scanSpeed;
+  scanSpeedSlider.value = scanSpeed;
+  document.getElementById('speed-value').textContent = scanSpeed + 'ms';
+  scanAnimation = settings.scanAnimation;
+  scanAnimationSelect.value = scanAnimation;
+  predictionMode = settings.predictionMode;
+  predictionModeSelect.value = predictionMode;
+  adaptiveDwell = settings.adaptiveDwell;
+  adaptiveDwellCheckbox.checked = adaptiveDwell;
+  autocorrectEnabled = settings.autocorrect;
+  document.getElementById('autocorrect-enabled').checked = autocorrectEnabled;
+  undoForgetsLearning = settings.undoForgetsLearning;
+  undoForgetCheckbox.checked = undoForgetsLearning;
+
+  loadModelOptions(settings.model);
+  ppm.setOptions(modelOptions);
+  renderModelOptions();
+
+  Object.assign(scanPassLimits, settings.passLimits);
+  passLimitInput.value = scanPassLimits[scanMode];
+  timeoutAction = settings.timeoutAction;
+  timeoutActionSelect.value = timeoutAction;
+  timeoutBeep = settings.timeoutBeep;
+  timeoutBeepCheckbox.checked = timeoutBeep;
+
+  auditoryScanning = settings.auditoryScanning;
+  auditoryScanningCheckbox.checked = auditoryScanning;
+  Object.assign(cueVoice, settings.cueVoice);
+  ['rate', 'pitch', 'volume'].forEach(setting => {
+    document.getElementById(`cue-${setting}`).value = cueVoice[setting];
+  });
+
+  Object.assign(speechSettings, settings.speech);
+  renderVoiceOptions();
+  ['rate', 'pitch', 'volume'].forEach(setting => {
+    document.getElementById(`speech-${setting}`).value = speechSettings[setting];
+  });
+  speakSettingCheckboxes.forEach(([id, setting]) => {
+    document.getElementById(id).checked = speechSettings[setting];
+  });
+
+  const switches = settings.switches;
+  switchMode = switches.mode;
+  switchModeSelect.value = switchMode;
+  switchHeld = false;
+  switchInput.mapping = window.SwitchInput.copyMapping(switches.mapping);
+  switchInput.acceptanceTime = switches.acceptanceTime;
+  switchInput.lockoutTime = switches.lockoutTime;
+  switchInput.ignoreRepeat = switches.ignoreRepeat;
+  scanEngine.firstItemDelay = switches.firstItemDelay;
+  acceptanceTimeInput.value = switchInput.acceptanceTime;
+  lockoutTimeInput.value = switchInput.lockoutTime;
+  firstItemDelayInput.value = scanEngine.firstItemDelay;
+  ignoreRepeatCheckbox.checked = switchInput.ignoreRepeat;
+  renderSwitchMapping();
+
+  initGrid(settings.layout);
+}
+
+// Show the PPM model's order and query parameters
+function renderModelOptions() {
+  modelOrderInput.value = ppm.getMaxOrder();
+  knAlphaInput.value = modelOptions.knAlpha;
+  knBetaInput.value = modelOptions.knBeta;
+  useExclusionCheckbox.checked = modelOptions.useExclusion;
+}
+
+// Take the query parameters from the settings. Parameters the model
+// can't use, e.g. saved by an older version, are replaced by the defaults.
+function loadModelOptions(options) {
+  const loaded = Object.assign({}, window.defaultPPMOptions, options);
+  try {
+    window.checkPPMOptions(loaded);
+  } catch (error) {
+    console.warn('Ignoring invalid model options:', error);
+    Object.assign(loaded, window.defaultPPMOptions);
+  }
+  Object.assign(modelOptions, loaded);
+}
+
+// Apply changed query parameters to the model and predict again. Changes
+// the model rejects, or can't predict with, are undone and not saved.
+function updateModelOptions(changes) {
+  const previous = Object.assign({}, modelOptions);
+  try {
+    ppm.setOptions(Object.assign({}, modelOptions, changes));
+    ppm.getProbs(context);
+  } catch (error) {
+    console.warn('Rejected model options:', error);
+    ppm.setOptions(previous);
+    renderModelOptions();
+    return;
+  }
+  Object.assign(modelOptions, changes);
+  renderModelOptions();
+  saveSettings();
+  updatePredictions();
+  updateProbabilityHighlights();
+  restartScanning();
+}
+
+// Carry the speech and switch settings saved before profiles existed over
+// into the default profile
+function migrateLegacySettings() {
+  const defaultName = window.defaultProfileName;
+  if (localStorage.getItem(profileStore.settingsKey(defaultName))) return;
+  const legacy = {};
+  [['speech', 'speechSettings'], ['switches', 'switchSettings']].forEach(([setting, key]) => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(key));
+      if (stored) legacy[setting] = stored;
+    } catch (error) {
+      console.warn('Ignoring invalid settings:', error);
+    }
+    localStorage.removeItem(key);
+  });
+  if (Object.keys(legacy).length > 0) {
+    profileStore.saveSettings(legacy, defaultName);
+  }
+}
+
+// Fill the profile list
+function renderProfiles() {
+  profileSelect.innerHTML = '';
+  profileStore.names.forEach(name => profileSelect.add(new Option(name, name)));
+  profileSelect.value = profileStore.current;
+  deleteProfileBtn.disabled = profileStore.names.length <= 1;
+}
+
+/**
+ * Switches to another profile: its settings, history and model replace the
+ * current ones. The current message goes to the old profile's history.
+ * @param {string} name Profile name.
+ */
+async function switchProfile(name) {
+  stopScanning();
+  clearMessage();
+  if (modelSaveTimer) {
+    await saveModel();
+  }
+  profileStore.select(name);
+  await loadProfile();
+}
+
+// Load the settings, history and model of the current profile
+async function loadProfile() {
+  messageHistory = new window.MessageHistory(profileStore.historyKey());
+  messageHistory.load();
+  selectedHistoryEntry = null;
+  modelStore = new window.ModelStore(profileStore.modelKey());
+  const settings = profileStore.loadSettings(defaultSettings);
+  loadModelOptions(settings.model);
+  const model = await initializeModel();
+  if (model) {
+    ppm = model.ppm;
+  }
+  applySettings(settings);
+  renderProfiles();
+  renderHistory();
+  clearMessage();
+}
+
+// Add a profile and switch to it
+async function createProfile() {
+  const name = prompt('Name of the new profile:');
+  if (name === null) return;
+  try {
+    profileStore.create(name);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  await switchProfile(name.trim());
+}
+
+// Delete the current profile, with its model, and switch to another one
+async function deleteProfile() {
+  const name = profileStore.current;
+  if (!confirm(`Delete the profile "${name}" and everything learned in it?`)) return;
+  stopScanning();
+  clearTimeout(modelSaveTimer);
+  modelSaveTimer = null;
+  try {
+    profileStore.remove(name);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  await modelStore.clear();
+  message = '';
+  await loadProfile();
+}
+
+// Download the current profile as a file that can be imported elsewhere
+function exportProfile() {
+  const file = window.createProfileFile({
+    name: profileStore.current,
+    settings: getSettings(),
+    history: messageHistory.entries,
+    model: window.createModelFile(getModels())
+  });
+  downloadJSON(file, `profile-${profileStore.current}.json`);
+}
+
+// Add a profile from a profile file and switch to it. A profile with the
+// same name is kept; the imported one gets a numbered name.
+async function importProfile(file) {
+  let profile;
+  try {
+    profile = window.checkProfileFile(JSON.parse(await file.text()));
+  } catch (error) {
+    console.error('Error loading profile file:', error);
+    alert('Could not load profile: ' + error.message);
+    return;
+  }
+  const name = profileStore.uniqueName(profile.name);
+  profileStore.create(name);
+  profileStore.saveSettings(checkSettings(profile.settings), name);
+  localStorage.setItem(profileStore.historyKey(name), JSON.stringify(profile.history || []));
+  if (profile.model) {
+    await new window.ModelStore(profileStore.modelKey(name)).save(profile.model);
+  }
+  await switchProfile(name);
+}
+
+// Probability that each grid cell is selected next. A page key gets the
+// probability of all the symbols that are only on other pages.
+function getCellProbabilities(letterElements) {
+  const probs = ppm.getProbs(context);
+  const symbolProb = symbol => probs[vocab.getSymbolIndex(symbol)] || 0;
+  const onGrid = new Set(letterElements.map(el => el.dataset.char).filter(Boolean));
+  const cellProbs = new Map();
+  letterElements.forEach(el => {
+    if (el.dataset.page) {
+      const pageSymbols = symbolSet.getPageSymbols(el.dataset.page)
+        .filter(symbol => !onGrid.has(symbol));
+      cellProbs.set(el, pageSymbols.reduce((sum, symbol) => sum + symbolProb(symbol), 0));
+    } else {
+      cellProbs.set(el, symbolProb(el.dataset.char));
     }
-  }, scanSpeed);
+  });
+  return cellProbs;
+}
+
+// Dwell time for an item, given its probability relative to the most probable
+// item. With adaptive dwell, likely items stay highlighted for longer and
+// unlikely ones for less, so the user has time to react where it matters.
+function getDwellTime(relativeProb) {
+  if (!adaptiveDwell || !(relativeProb >= 0)) return scanSpeed;
+  const factor = minDwellFactor +
+    (maxDwellFactor - minDwellFactor) * Math.sqrt(Math.min(relativeProb, 1));
+  return Math.round(scanSpeed * factor);
 }
 
 // Speech using Web Speech API
 function speakMessage() {
-  const utterance = new SpeechSynthesisUtterance(message);
-  speechSynthesis.speak(utterance);
+  speak(message);
+
+  // Spoken messages become phrase suggestions and join the history. The
+  // other models learned the typed text as it was typed. Text loaded from the
+  // history by editHistoryEntry() isn't learned again: the models learned it
+  // when it was first typed. The phrase goes into an undo entry, so undo
+  // stays consistent with the phrase store.
+  if (message.trim()) {
+    phraseStore.usePhrase(message, beginHistoryEntry().phraseUpdates);
+    scheduleModelSave();
+    messageHistory.add(message);
+    renderHistory();
+    restartScanning();
+  }
+}
+
+// Scanning went through its passes without a selection
+function handleScanTimeout() {
+  if (timeoutAction === "restart") {
+    // Start over, offering the predictions again
+    startScanning();
+    return;
+  }
+  if (timeoutAction === "speak" && message.trim()) {
+    speakMessage();
+  }
+  showScanPaused();
+}
+
+// Tell the user that scanning waits for a switch press
+function showScanPaused() {
+  scanStatusElement.textContent = 'Scanning paused - press the switch to continue';
+  scanStatusElement.classList.add('paused');
+  if (timeoutBeep) {
+    playBeep();
+  }
+}
+
+function clearScanStatus() {
+  scanStatusElement.textContent = '';
+  scanStatusElement.classList.remove('paused');
 }
 
-// Add this function to handle selection during scanning
+// Short tone through the Web Audio API, where available
+function playBeep() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  audioContext = audioContext || new AudioContextClass();
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  oscillator.frequency.value = 660;
+  gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.3);
+  oscillator.connect(gain);
+  gain.connect(audioContext.destination);
+  oscillator.start();
+  oscillator.stop(audioContext.currentTime + 0.3);
+}
+
+// Choose the highlighted item, group, row or half of the grid
 function handleScanSelection() {
   if (!scanning) return;
-  
-  const letterElements = Array.from(document.querySelectorAll(".letter"));
-  const highlightedLetter = letterElements.find(el => 
-    el.classList.contains("highlight") || 
-    el.classList.contains("pulse") || 
-    el.classList.contains("line") ||
-    el.classList.contains("row-highlight")
-  );
-
-  if (highlightedLetter) {
-    if (scanMode === "row-column") {
-      if (currentRowIndex === -1) {
-        // If we're scanning rows, select the row
-        currentRowIndex = Math.floor([...letterElements].indexOf(highlightedLetter) / Math.ceil(letterElements.length / 6));
-        scanIndex = 0;
-      } else {
-        // If we're scanning within a row, select the letter
-        selectCharacter(highlightedLetter.dataset.char);
-        currentRowIndex = -1;
-        scanIndex = 0;
-      }
-    } else {
-      // For linear scanning, just select the letter
-      selectCharacter(highlightedLetter.dataset.char);
-      scanIndex = 0;
-    }
-  }
+  scanEngine.select();
 }
 
 function updateSuggestions() {
@@ -516,13 +1689,13 @@ function updateSuggestions() {
   }
 
   // First try word predictions
-  const predictions = window.vocab.getWordPredictions(currentWord);
+  const predictions = vocab.getWordPredictions(currentWord);
   console.log('Word predictions:', predictions);
 
   // Always get autocorrections for words 3 or more characters
   let suggestions = [];
   if (currentWord.length >= 3) {
-    const corrections = window.vocab.getAutocorrections(currentWord);
+    const corrections = vocab.getAutocorrections(currentWord);
     console.log('Autocorrection suggestions:', corrections);
     suggestions = corrections;
     
@@ -577,87 +1750,233 @@ function handleInput(letter) {
 
 // Update the clear function
 function clearMessage() {
+    // Keep the text in the history in case it is needed again
+    if (message.trim()) {
+      messageHistory.add(message, false);
+      renderHistory();
+    }
     message = "";
     messageElement.textContent = message;
     currentWord = '';
-    context = ppm.createContext(); // Reset context
+    vocab.currentWord = '';
+    inputHistory = [];
+    context = buildContext(message); // Reset context
     updatePredictions();
     updateProbabilityHighlights();
     updateSuggestions();
+
+    // The word bars, and the grid in the dynamic layout, were rebuilt
+    restartScanning();
 }
 
-// Update the undo function
-function undoLastCharacter() {
-    if (!message) return;
-    
-    message = message.slice(0, -1);
-    messageElement.textContent = message;
-    
-    // Update current word
-    if (currentWord) {
-      currentWord = currentWord.slice(0, -1);
-    }
-    
-    // If we removed a space, get the last word
-    if (message.length > 0 && message[message.length - 1] !== ' ') {
-      const words = message.split(' ');
-      currentWord = words[words.length - 1];
+// Undo the last selected character or word. Each press steps one entry back
+// through the history, optionally forgetting what the model learned from it.
+function undoLastInput() {
+    const entry = inputHistory.pop();
+    if (!entry) return;
+
+    if (undoForgetsLearning) {
+      ppm.undoUpdates(entry.ppmUpdates);
+      vocab.undoWordUpdates(entry.wordUpdates);
+      wordModel.undoUpdates(entry.ngramUpdates);
+      phraseStore.undoUpdates(entry.phraseUpdates);
+      scheduleModelSave();
     }
+
+    message = entry.previousMessage;
+    messageElement.textContent = message;
+    currentWord = entry.previousWord;
+    vocab.currentWord = entry.previousVocabWord;
+
+    // The old context may point at nodes that were just removed
+    context = buildContext(message);
     
     updatePredictions();
     updateProbabilityHighlights();
     updateSuggestions();
+
+    if (scanning) {
+      stopScanning();
+      startScanning();
+    }
 }
 
 // Initialize app
 async function initApp() {
+  migrateLegacySettings();
+  const settings = profileStore.loadSettings(defaultSettings);
+  loadModelOptions(settings.model);
   const model = await initializeModel();
   if (model) {
     ppm = model.ppm;
-    context = model.context;
-    initGrid(layoutSelect.value);
+    context = buildContext(message);
+    applySettings(settings);
     updatePredictions();
     updateProbabilityHighlights();
-    document.getElementById('speed-value').textContent = scanSpeed + 'ms';
+    renderHistory();
+    renderProfiles();
 
     // Set up all event listeners
     speakBtn.addEventListener("click", speakMessage);
     clearBtn.addEventListener("click", clearMessage);
-    undoBtn.addEventListener("click", undoLastCharacter);
+    undoBtn.addEventListener("click", undoLastInput);
     
     // Add autocorrect toggle listener if element exists
     const autocorrectToggle = document.getElementById('autocorrect-enabled');
     if (autocorrectToggle) {
       autocorrectToggle.addEventListener('change', (e) => {
         autocorrectEnabled = e.target.checked;
+        saveSettings();
         updatePredictions(); // This will also update corrections
       });
     }
 
     gridElement.addEventListener("click", (e) => {
       if (e.target.classList.contains("letter")) {
-        selectCharacter(e.target.dataset.char);
+        activateCell(e.target);
       }
     });
     
     scanAnimationSelect.addEventListener("change", (e) => {
       scanAnimation = e.target.value;
+      saveSettings();
     });
 
-    // Add keyboard event listener
-    document.addEventListener('keydown', (e) => {
-      if (e.code === 'Space') {
-        e.preventDefault(); // Prevent page scrolling
-        if (scanning) {
-          handleScanSelection();
-        } else {
-          startScanning();
-        }
-      } else if (e.code === 'Escape') {
-        stopScanning();
+    adaptiveDwellCheckbox.addEventListener("change", (e) => {
+      adaptiveDwell = e.target.checked;
+      saveSettings();
+    });
+
+    layoutAnimationCheckbox.addEventListener("change", (e) => {
+      animateLayout = e.target.checked;
+      saveSettings();
+    });
+
+    undoForgetCheckbox.addEventListener("change", (e) => {
+      undoForgetsLearning = e.target.checked;
+      saveSettings();
+    });
+
+    resetModelBtn.addEventListener("click", resetModel);
+    downloadModelBtn.addEventListener("click", downloadModel);
+    modelFileInput.addEventListener("change", (e) => {
+      if (e.target.files.length > 0) {
+        importModel(e.target.files[0]);
+        e.target.value = '';
+      }
+    });
+
+    // Don't lose the last selections if the page closes before the save
+    window.addEventListener("pagehide", () => {
+      if (modelSaveTimer) {
+        saveModel();
       }
     });
 
+    scanEngine.on('highlight', renderScanHighlight);
+    scanEngine.on('select', activateScanItem);
+    scanEngine.on('stop', ({ reason }) => {
+      scanning = false;
+      clearScanHighlights();
+      if (reason === 'timeout') {
+        handleScanTimeout();
+      }
+    });
+
+    // Switch input: keys, mouse and gamepad buttons
+    switchInput.on('press', handleSwitchPress);
+    switchInput.on('release', handleSwitchRelease);
+    switchInput.start();
+    window.addEventListener('blur', () => switchInput.releaseAll());
+
+    switchModeSelect.addEventListener('change', (e) => {
+      switchMode = e.target.value;
+      switchHeld = false;
+      saveSettings();
+      stopScanning();
+    });
+
+    // Switch timing, in ms
+    const timingInputs = [
+      [acceptanceTimeInput, value => { switchInput.acceptanceTime = value; }],
+      [lockoutTimeInput, value => { switchInput.lockoutTime = value; }],
+      [firstItemDelayInput, value => { scanEngine.firstItemDelay = value; }]
+    ];
+    timingInputs.forEach(([input, setValue]) => {
+      input.addEventListener('change', (e) => {
+        const value = Math.max(0, parseInt(e.target.value, 10) || 0);
+        e.target.value = value;
+        setValue(value);
+        saveSettings();
+      });
+    });
+    // Timeout after unanswered passes, the limit applies to the current mode
+    passLimitInput.addEventListener('change', (e) => {
+      const value = Math.max(0, parseInt(e.target.value, 10) || 0);
+      e.target.value = value;
+      scanPassLimits[scanMode] = value;
+      saveSettings();
+    });
+    timeoutActionSelect.addEventListener('change', (e) => {
+      timeoutAction = e.target.value;
+      saveSettings();
+    });
+    timeoutBeepCheckbox.addEventListener('change', (e) => {
+      timeoutBeep = e.target.checked;
+      saveSettings();
+    });
+
+    // Message voice and auto-speak
+    speechEngine.onVoicesChanged(renderVoiceOptions);
+    speechLangSelect.addEventListener('change', (e) => {
+      speechSettings.lang = e.target.value;
+      renderVoiceOptions();
+      speechSettings.voice = voiceSelect.value;
+      saveSettings();
+    });
+    voiceSelect.addEventListener('change', (e) => {
+      speechSettings.voice = e.target.value;
+      saveSettings();
+    });
+    ['rate', 'pitch', 'volume'].forEach(setting => {
+      const input = document.getElementById(`speech-${setting}`);
+      input.addEventListener('change', (e) => {
+        speechSettings[setting] = parseFloat(e.target.value);
+        saveSettings();
+      });
+    });
+    speakSettingCheckboxes.forEach(([id, setting]) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        speechSettings[setting] = e.target.checked;
+        saveSettings();
+      });
+    });
+    testVoiceBtn.addEventListener('click', () => speak(message.trim() || 'Hello'));
+
+    // Auditory scanning and its cue voice
+    auditoryScanningCheckbox.addEventListener('change', (e) => {
+      auditoryScanning = e.target.checked;
+      saveSettings();
+    });
+    ['rate', 'pitch', 'volume'].forEach(setting => {
+      const input = document.getElementById(`cue-${setting}`);
+      input.addEventListener('input', (e) => {
+        cueVoice[setting] = parseFloat(e.target.value);
+      });
+      input.addEventListener('change', saveSettings);
+    });
+
+    ignoreRepeatCheckbox.addEventListener('change', (e) => {
+      switchInput.ignoreRepeat = e.target.checked;
+      saveSettings();
+    });
+
+    resetSwitchesBtn.addEventListener('click', () => {
+      switchInput.mapping = window.SwitchInput.copyMapping(window.defaultSwitchMapping);
+      saveSettings();
+      renderSwitchMapping();
+    });
+
     // Add toggle controls event listener
     toggleControlsBtn.addEventListener('click', () => {
       controlsDiv.classList.toggle('hidden');
@@ -672,6 +1991,7 @@ async function initApp() {
     // Add control change listeners
     layoutSelect.addEventListener("change", (e) => {
       initGrid(e.target.value);
+      saveSettings();
       updateProbabilityHighlights();
       if (scanning) {
         stopScanning();
@@ -679,8 +1999,9 @@ async function initApp() {
       }
     });
 
-    predictionCheckbox.addEventListener("change", (e) => {
-      usePredictions = e.target.checked;
+    predictionModeSelect.addEventListener("change", (e) => {
+      predictionMode = e.target.value;
+      saveSettings();
       if (scanning) {
         stopScanning();
         startScanning();
@@ -689,12 +2010,19 @@ async function initApp() {
 
     scanModeSelect.addEventListener("change", (e) => {
       scanMode = e.target.value;
+      passLimitInput.value = scanPassLimits[scanMode];
+      saveSettings();
+      // The dynamic layout depends on the scan mode
+      if (layoutSelect.value === "dynamic") {
+        updateProbabilityHighlights();
+      }
       if (scanning) {
         stopScanning();
         startScanning();
       }
     });
 
+    scanSpeedSlider.addEventListener("change", saveSettings);
     scanSpeedSlider.addEventListener("input", (e) => {
       scanSpeed = parseInt(e.target.value, 10);
       document.getElementById('speed-value').textContent = scanSpeed + 'ms';
@@ -704,6 +2032,48 @@ async function initApp() {
       }
     });
 
+    // Advanced model: the order needs a new model, the other parameters
+    // only change how the model is queried
+    modelOrderInput.addEventListener('change', async (e) => {
+      const order = parseInt(e.target.value, 10);
+      if (!(order >= 1 && order <= 8) || order === ppm.getMaxOrder() ||
+          !confirm('Retrain the model with order ' + order + '? What it learned ' +
+                   'from your typing is lost, except your spoken messages.')) {
+        renderModelOptions();
+        return;
+      }
+      stopScanning();
+      if (!await retrainModel(order)) {
+        alert('Could not retrain the model.');
+      }
+      renderModelOptions();
+    });
+    [[knAlphaInput, 'knAlpha', 0, Infinity], [knBetaInput, 'knBeta', 0, 1]]
+      .forEach(([input, option, min, max]) => {
+        input.addEventListener('change', (e) => {
+          const value = parseFloat(e.target.value);
+          if (value >= min && value <= max) {
+            updateModelOptions({ [option]: value });
+          }
+          e.target.value = modelOptions[option];
+        });
+      });
+    useExclusionCheckbox.addEventListener('change', (e) => {
+      updateModelOptions({ useExclusion: e.target.checked });
+    });
+
+    // User profiles
+    profileSelect.addEventListener('change', (e) => switchProfile(e.target.value));
+    newProfileBtn.addEventListener('click', createProfile);
+    deleteProfileBtn.addEventListener('click', deleteProfile);
+    exportProfileBtn.addEventListener('click', exportProfile);
+    profileFileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        importProfile(e.target.files[0]);
+        e.target.value = '';
+      }
+    });
+
     // Add scan start button listener
     if (scanStartBtn) {
       scanStartBtn.addEventListener('click', () => {
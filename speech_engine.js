@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Speech output engines.
+ *
+ * The app speaks messages and scanning cues through a speech engine instead
+ * of calling the Web Speech API directly, so another text-to-speech backend
+ * can be plugged in. An engine implements:
+ *   getVoices(): Array of {id, name, lang} for the available voices.
+ *   onVoicesChanged(callback): Calls back when the voice list changes, as
+ *       browsers load their voices asynchronously.
+ *   speak(text, options): Speaks the text with options {voice (a voice id),
+ *       lang, rate, pitch, volume} and returns a Promise resolved when done.
+ *   cancel(): Stops all speech.
+ *
+ * WebSpeechEngine uses speechSynthesis. LoggingSpeechEngine is an offline
+ * stand-in for testing and for browsers without speech synthesis: it records
+ * what would be spoken and takes a time proportional to the text length.
+ */
+
+// Longest time a Web Speech utterance may take before it is considered
+// finished, as some engines never report the end of an utterance.
+const maxUtteranceTime = 30000;
+
+class WebSpeechEngine {
+  constructor(synthesis = window.speechSynthesis) {
+    this.synthesis = synthesis;
+  }
+
+  getVoices() {
+    return this.synthesis.getVoices().map(voice => ({
+      id: voice.voiceURI,
+      name: voice.name,
+      lang: voice.lang
+    }));
+  }
+
+  onVoicesChanged(callback) {
+    if (this.synthesis.addEventListener) {
+      this.synthesis.addEventListener('voiceschanged', callback);
+    }
+  }
+
+  speak(text, options = {}) {
+    return new Promise(resolve => {
+      const utterance = new SpeechSynthesisUtterance(text);
+      const voice = this.synthesis.getVoices()
+        .find(candidate => candidate.voiceURI === options.voice);
+      if (voice) utterance.voice = voice;
+      if (options.lang) utterance.lang = options.lang;
+      ['rate', 'pitch', 'volume'].forEach(setting => {
+        if (options[setting] !== undefined) utterance[setting] = options[setting];
+      });
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      utterance.onend = done;
+      utterance.onerror = done;
+      timer = setTimeout(done, maxUtteranceTime);
+      this.synthesis.speak(utterance);
+    });
+  }
+
+  cancel() {
+    this.synthesis.cancel();
+  }
+}
+
+class LoggingSpeechEngine {
+  /**
+   * @param {number} msPerChar Simulated speaking time per character, at
+   *                 rate 1.
+   */
+  constructor(msPerChar = 60) {
+    this.msPerChar = msPerChar;
+    this.log = []; // {text, options} of everything spoken
+    this.pending_ = []; // {timer, resolve} of utterances being "spoken"
+  }
+
+  getVoices() {
+    return [{ id: 'log', name: 'Console log', lang: 'en-US' }];
+  }
+
+  onVoicesChanged(callback) {}
+
+  speak(text, options = {}) {
+    this.log.push({ text, options });
+    console.log('Speaking:', text);
+    return new Promise(resolve => {
+      const duration = text.length * this.msPerChar / (options.rate || 1);
+      const entry = { resolve };
+      entry.timer = setTimeout(() => {
+        this.pending_ = this.pending_.filter(other => other !== entry);
+        resolve();
+      }, duration);
+      this.pending_.push(entry);
+    });
+  }
+
+  cancel() {
+    this.pending_.forEach(({ timer, resolve }) => {
+      clearTimeout(timer);
+      resolve();
+    });
+    this.pending_ = [];
+  }
+}
+
+/**
+ * Creates the speech engine for the page: the logging stand-in if the URL
+ * asks for it with ?speech=log or if the browser has no speech synthesis,
+ * the Web Speech API otherwise.
+ * @return {!Object} Speech engine.
+ */
+function createSpeechEngine() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('speech') === 'log' || !window.speechSynthesis) {
+    return new LoggingSpeechEngine();
+  }
+  return new WebSpeechEngine();
+}
+
+window.WebSpeechEngine = WebSpeechEngine;
+window.LoggingSpeechEngine = LoggingSpeechEngine;
+window.createSpeechEngine = createSpeechEngine;
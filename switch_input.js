@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Switch input for scanning.
+ *
+ * Users operate the scanner with one or two switches, which reach the browser
+ * as key presses, mouse buttons or gamepad buttons depending on the switch
+ * interface. SwitchInput maps any of these to scanning actions and reports
+ * presses and releases of the actions, so the scanner never deals with raw
+ * events. Inputs are named as bindings:
+ *   'key:<KeyboardEvent.code>', e.g. 'key:Space'.
+ *   'mouse:<MouseEvent.button>', e.g. 'mouse:2' for the right button.
+ *   'gamepad:<button index>', for a button on any connected gamepad.
+ *
+ * Presses can be filtered for users with tremor or spasms: a switch must be
+ * held for the acceptance time before it counts, presses during the lockout
+ * after an accepted press are ignored, and key repeat can be ignored.
+ */
+
+// Actions a switch can be mapped to.
+const switchActions = ['select', 'advance', 'stop'];
+
+// Bindings used until the user remaps the switches.
+const defaultSwitchMapping = {
+  select: ['key:Space', 'gamepad:0'],
+  advance: ['key:Enter', 'gamepad:1'],
+  stop: ['key:Escape']
+};
+
+// Elements whose clicks are never taken as a new binding while remapping, so
+// clicking another setting doesn't bind the mouse button.
+const formControlSelector = 'button, input, select, textarea, label, a';
+
+// Readable name of a binding, for the settings panel
+function describeBinding(binding) {
+  const [type, value] = binding.split(':');
+  if (type === 'key') return value.replace(/^Key|^Digit/, '');
+  if (type === 'mouse') {
+    return ['Left click', 'Middle click', 'Right click'][value] ||
+      `Mouse button ${value}`;
+  }
+  return `Gamepad button ${value}`;
+}
+
+class SwitchInput {
+  /**
+   * @param {?Object} options Optional settings:
+   *   mapping: Action -> array of bindings, defaults to defaultSwitchMapping.
+   *   ignoreMouseTarget: Function returning true for mouse event targets that
+   *                      must keep their normal behaviour, e.g. controls.
+   *   acceptanceTime: Time in ms a switch must be held before the press
+   *                   counts, 0 to accept presses immediately.
+   *   lockoutTime: Time in ms after an accepted press during which further
+   *                presses are ignored.
+   *   ignoreRepeat: If false, key repeat while a key is held counts as
+   *                 further presses. Defaults to true.
+   */
+  constructor(options = {}) {
+    this.mapping = SwitchInput.copyMapping(options.mapping || defaultSwitchMapping);
+    this.ignoreMouseTarget = options.ignoreMouseTarget || (() => false);
+    this.acceptanceTime = options.acceptanceTime || 0;
+    this.lockoutTime = options.lockoutTime || 0;
+    this.ignoreRepeat = options.ignoreRepeat !== false;
+    this.listeners_ = { press: [], release: [] };
+    this.pressed_ = new Set(); // Bindings whose press was accepted
+    this.pending_ = new Map(); // Binding -> timer waiting for the acceptance time
+    this.lockedUntil_ = 0;
+    this.learning_ = null; // Resolves the binding pressed while remapping
+    this.gamepadButtons_ = []; // Pressed state of each button, last poll
+    this.polling_ = false;
+  }
+
+  // Deep copy of a mapping, keeping only known actions and well-formed
+  // bindings, as a stored mapping may be malformed
+  static copyMapping(mapping) {
+    const copy = {};
+    switchActions.forEach(action => {
+      const bindings = mapping && mapping[action];
+      copy[action] = Array.isArray(bindings) ? bindings.filter(binding =>
+        typeof binding === 'string' && /^(key|mouse|gamepad):./.test(binding)) : [];
+    });
+    return copy;
+  }
+
+  /**
+   * Registers a listener.
+   * @param {string} type 'press' or 'release'.
+   * @param {function(string)} listener Called with the action.
+   */
+  on(type, listener) {
+    this.listeners_[type].push(listener);
+  }
+
+  // Action mapped to a binding, or null
+  actionFor(binding) {
+    return switchActions.find(action => this.mapping[action].includes(binding)) || null;
+  }
+
+  // Listen to keyboard, mouse and gamepad events
+  start() {
+    document.addEventListener('keydown', (e) => {
+      if (this.handleDown_(`key:${e.code}`, e.repeat)) e.preventDefault();
+    });
+    document.addEventListener('keyup', (e) => {
+      if (this.handleUp_(`key:${e.code}`)) e.preventDefault();
+    });
+    document.addEventListener('mousedown', (e) => {
+      const ignored = this.learning_ ?
+        Boolean(e.target.closest && e.target.closest(formControlSelector)) :
+        this.ignoreMouseTarget(e.target);
+      if (!ignored) {
+        if (this.handleDown_(`mouse:${e.button}`)) e.preventDefault();
+      }
+    });
+    document.addEventListener('mouseup', (e) => {
+      this.handleUp_(`mouse:${e.button}`);
+    });
+    document.addEventListener('contextmenu', (e) => {
+      if (this.actionFor('mouse:2') && !this.ignoreMouseTarget(e.target)) {
+        e.preventDefault();
+      }
+    });
+    window.addEventListener('gamepadconnected', () => this.pollGamepads_());
+  }
+
+  // Returns true if the binding was handled
+  handleDown_(binding, repeat = false) {
+    if (this.learning_) {
+      if (repeat) return true;
+      const resolve = this.learning_;
+      this.learning_ = null;
+      resolve(binding);
+      return true;
+    }
+    const action = this.actionFor(binding);
+    if (!action) return false;
+    if (repeat) {
+      // Auto-repeat of a held key, a new press only if repeats are wanted
+      if (!this.ignoreRepeat && this.pressed_.has(binding)) {
+        this.accept_(binding, action);
+      }
+      return true;
+    }
+    if (this.pressed_.has(binding) || this.pending_.has(binding)) return true;
+    if (this.acceptanceTime > 0) {
+      this.pending_.set(binding, setTimeout(() => {
+        this.pending_.delete(binding);
+        this.accept_(binding, action);
+      }, this.acceptanceTime));
+    } else {
+      this.accept_(binding, action);
+    }
+    return true;
+  }
+
+  // Report a press unless it falls within the lockout of the previous one
+  accept_(binding, action) {
+    const now = Date.now();
+    if (now < this.lockedUntil_) return;
+    this.lockedUntil_ = now + this.lockoutTime;
+    this.pressed_.add(binding);
+    this.listeners_.press.forEach(listener => listener(action));
+  }
+
+  // Returns true if the binding was handled
+  handleUp_(binding) {
+    if (this.pending_.has(binding)) {
+      // Released before the acceptance time, the press never happened
+      clearTimeout(this.pending_.get(binding));
+      this.pending_.delete(binding);
+      return true;
+    }
+    if (!this.pressed_.delete(binding)) return false;
+    const action = this.actionFor(binding);
+    if (action) {
+      this.listeners_.release.forEach(listener => listener(action));
+    }
+    return true;
+  }
+
+  // The Gamepad API has no button events, so poll while gamepads are present
+  pollGamepads_() {
+    if (this.polling_ || !navigator.getGamepads) return;
+    this.polling_ = true;
+    const poll = () => {
+      const gamepads = Array.from(navigator.getGamepads()).filter(Boolean);
+      if (gamepads.length === 0) {
+        this.polling_ = false;
+        this.gamepadButtons_ = [];
+        return;
+      }
+      const numButtons = Math.max(...gamepads.map(pad => pad.buttons.length));
+      for (let i = 0; i < numButtons; ++i) {
+        const pressed = gamepads.some(pad => pad.buttons[i] && pad.buttons[i].pressed);
+        if (pressed && !this.gamepadButtons_[i]) {
+          this.handleDown_(`gamepad:${i}`);
+        } else if (!pressed && this.gamepadButtons_[i]) {
+          this.handleUp_(`gamepad:${i}`);
+        }
+        this.gamepadButtons_[i] = pressed;
+      }
+      requestAnimationFrame(poll);
+    };
+    poll();
+  }
+
+  /**
+   * Waits for the user to press the switch to use for an action. The binding
+   * replaces the previous ones of the action and is removed from the others.
+   * Clicks on buttons and form controls don't count.
+   * @param {string} action Action to remap.
+   * @return {!Promise<string>} The new binding.
+   */
+  learn(action) {
+    return new Promise(resolve => {
+      this.learning_ = resolve;
+    }).then(binding => {
+      switchActions.forEach(other => {
+        this.mapping[other] = this.mapping[other].filter(b => b !== binding);
+      });
+      this.mapping[action] = [binding];
+      return binding;
+    });
+  }
+
+  // Forget held switches, e.g. when a key is released outside the page
+  releaseAll() {
+    this.pending_.forEach((timer, binding) => this.handleUp_(binding));
+    this.pressed_.forEach(binding => this.handleUp_(binding));
+  }
+}
+
+window.SwitchInput = SwitchInput;
+window.switchActions = switchActions;
+window.defaultSwitchMapping = defaultSwitchMapping;
+window.describeBinding = describeBinding;
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Symbol set configuration.
+ *
+ * A symbol set lists every symbol the user can type, split into pages of the
+ * letter grid. The same configuration drives the grid layouts, the symbols
+ * registered in the Vocabulary and the TextNormalizer used for training, so
+ * punctuation and digits on the grid are also predicted by the PPM model.
+ *
+ * Each page has:
+ *   label: Text of the key that switches to the page.
+ *   symbols: The symbols on the page, in grid order.
+ *   layouts: Optional named alternative orderings of the same symbols, chosen
+ *            with the layout selector (used by the letters page).
+ *   returnToFirstPage: If true the page acts like a shift key, going back to
+ *            the first page after one symbol has been selected.
+ * The first page is shown at startup.
+ */
+
+const defaultSymbolSetConfig = {
+  pages: {
+    letters: {
+      label: 'ABC',
+      symbols: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ ',
+      layouts: {
+        abc: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ ',
+        qwerty: 'QWERTYUIOPASDFGHJKLZXCVBNM ',
+        frequency: 'ETAOINSHRDLUCMFWYPVBGKJQXZ ' // Common English letter frequency
+      }
+    },
+    numbers: {
+      label: '123',
+      symbols: '1234567890 '
+    },
+    punctuation: {
+      label: '?!',
+      symbols: '.,?!\'- ',
+      returnToFirstPage: true
+    }
+  }
+};
+
+// Characters whose typographic variants are typed as the plain symbol.
+const symbolVariants = {
+  '’': "'",
+  '‘': "'",
+  '–': '-'
+};
+
+class SymbolSet {
+  /**
+   * @param {!Object} config Symbol set configuration, see above.
+   */
+  constructor(config = defaultSymbolSetConfig) {
+    this.config = config;
+    this.pages = config.pages;
+    this.pageNames = Object.keys(config.pages);
+    this.firstPage = this.pageNames[0];
+    this.symbols = [];
+    this.pageNames.forEach(name => {
+      this.pages[name].symbols.split('').forEach(symbol => {
+        if (!this.symbols.includes(symbol)) this.symbols.push(symbol);
+      });
+    });
+    this.symbolSet_ = new Set(this.symbols);
+  }
+
+  // True if the symbol can be typed
+  has(symbol) {
+    return this.symbolSet_.has(symbol);
+  }
+
+  // Symbols of a page in grid order, using the named layout if it has one
+  getPageSymbols(name, layout) {
+    const page = this.pages[name];
+    const symbols = page.layouts && page.layouts[layout] || page.symbols;
+    return symbols.split('');
+  }
+
+  // Options for a TextNormalizer that keeps exactly the typeable symbols.
+  // Punctuation on the grid is kept as itself instead of being dropped or
+  // turned into a sentence boundary.
+  normalizerOptions() {
+    const symbolMap = {};
+    this.symbols.forEach(symbol => {
+      symbolMap[symbol] = symbol;
+    });
+    Object.keys(symbolVariants).forEach(variant => {
+      if (this.has(symbolVariants[variant])) {
+        symbolMap[variant] = symbolVariants[variant];
+      }
+    });
+    return { allowedSymbols: this.symbols, symbolMap };
+  }
+}
+
+export { SymbolSet };
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Tests of the vocabulary, the PPM model and model files.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vocabulary, oovSymbol, rootSymbol, rootSymbolName } from '../vocabulary.js';
+import { PPMLanguageModel } from '../ppm_language_model.js';
+import { WordNGramModel } from '../word_ngram_model.js';
+import { PhraseStore } from '../phrase_store.js';
+import { createModelFile, loadModelFile } from '../model_file.js';
+
+const trainingText = 'HELLO THERE HOW ARE YOU HELLO AGAIN';
+
+function createVocabulary() {
+  const vocab = new Vocabulary();
+  [...new Set(trainingText)].forEach(symbol => vocab.addSymbol(symbol));
+  return vocab;
+}
+
+// A model trained on `text`, one symbol at a time
+function train(model, vocab, text, journal = null) {
+  const context = model.createContext();
+  [...text].forEach(symbol => {
+    model.addSymbolAndUpdate(context, vocab.getSymbolIndex(symbol), journal);
+  });
+}
+
+// Probabilities after each prefix of `text`, to compare two models
+function probsAlong(model, vocab, text) {
+  const context = model.createContext();
+  const probs = [model.getProbs(context)];
+  [...text].forEach(symbol => {
+    model.addSymbolToContext(context, vocab.getSymbolIndex(symbol));
+    probs.push(model.getProbs(context));
+  });
+  return probs;
+}
+
+// The models of a model file, trained on the training text
+function createModels() {
+  const vocab = createVocabulary();
+  vocab.trainOnText(trainingText);
+  const ppm = new PPMLanguageModel(vocab, 3);
+  train(ppm, vocab, trainingText);
+  const wordModel = new WordNGramModel(3, word => vocab.cleanWord(word));
+  wordModel.trainOnText(trainingText);
+  const phraseStore = new PhraseStore(word => vocab.cleanWord(word));
+  phraseStore.usePhrase('HOW ARE YOU');
+  return { vocab, ppm, wordModel, phraseStore };
+}
+
+// Empty models to load a model file into
+function createEmptyModels() {
+  const vocab = new Vocabulary();
+  return {
+    vocab,
+    wordModel: new WordNGramModel(3, word => vocab.cleanWord(word)),
+    phraseStore: new PhraseStore(word => vocab.cleanWord(word))
+  };
+}
+
+test('getSymbolOrOOV maps unknown symbols to one OOV symbol', () => {
+  const vocab = createVocabulary();
+  const size = vocab.size();
+  assert.equal(vocab.getSymbolOrOOV(rootSymbolName), rootSymbol);
+  assert.equal(vocab.getSymbolOrOOV('H'), vocab.getSymbolIndex('H'));
+  assert.equal(vocab.size(), size);
+
+  const oov = vocab.getSymbolOrOOV('#');
+  assert.equal(oov, size);
+  assert.equal(vocab.symbols_[oov], oovSymbol);
+  assert.equal(vocab.getSymbolOrOOV('%'), oov);
+  assert.equal(vocab.getSymbolIndex('#'), -1);
+  assert.equal(vocab.size(), size + 1);
+});
+
+test('vocabularies are independent of each other', () => {
+  const first = createVocabulary();
+  const second = new Vocabulary();
+  second.addSymbol('X');
+  assert.equal(second.size(), 2);
+  assert.notEqual(first.size(), second.size());
+  assert.equal(first.getSymbolIndex('X'), -1);
+});
+
+test('a serialized PPM model predicts like the original', () => {
+  const vocab = createVocabulary();
+  const model = new PPMLanguageModel(vocab, 4);
+  train(model, vocab, trainingText);
+  const data = JSON.parse(JSON.stringify(model.serialize()));
+
+  const loaded = new PPMLanguageModel(vocab, 4);
+  loaded.deserialize(data);
+  assert.deepEqual(probsAlong(loaded, vocab, 'HELLO YOU'),
+                   probsAlong(model, vocab, 'HELLO YOU'));
+  assert.deepEqual(loaded.serialize(), model.serialize());
+});
+
+test('undoUpdates restores the counts before the updates', () => {
+  const vocab = createVocabulary();
+  const model = new PPMLanguageModel(vocab, 3);
+  train(model, vocab, trainingText);
+  const before = model.serialize();
+  const probsBefore = probsAlong(model, vocab, 'HOW ');
+
+  const journal = [];
+  train(model, vocab, 'HOW ARE THEY', journal);
+  assert.notDeepEqual(model.serialize(), before);
+  model.undoUpdates(journal);
+  assert.deepEqual(model.serialize(), before);
+  assert.deepEqual(probsAlong(model, vocab, 'HOW '), probsBefore);
+  assert.equal(journal.length, 0);
+});
+
+test('a model file loads into models that predict like the originals', () => {
+  const models = createModels();
+  const file = JSON.parse(JSON.stringify(createModelFile(models)));
+
+  const loaded = createEmptyModels();
+  const ppm = loadModelFile(file, loaded);
+  assert.deepEqual(loaded.vocab.serialize(), models.vocab.serialize());
+  assert.deepEqual(loaded.wordModel.serialize(), models.wordModel.serialize());
+  assert.deepEqual(loaded.phraseStore.serialize(), models.phraseStore.serialize());
+  assert.equal(ppm.getMaxOrder(), 3);
+
+  assert.deepEqual(probsAlong(ppm, loaded.vocab, 'HELLO'),
+                   probsAlong(models.ppm, models.vocab, 'HELLO'));
+  assert.deepEqual(loaded.vocab.getWordPredictions('HE'),
+                   models.vocab.getWordPredictions('HE'));
+});
+
+test('a malformed model file is rejected without touching the models', () => {
+  const file = JSON.parse(JSON.stringify(createModelFile(createModels())));
+  // A trie whose first child is the root symbol
+  const rootChild = createModels();
+  rootChild.ppm.root_.child_.symbol_ = rootSymbol;
+  const target = createModels();
+  const before = JSON.stringify(createModelFile(target));
+  const malformed = [
+    null,
+    Object.assign({}, file, { format: 'other' }),
+    Object.assign({}, file, { version: 99 }),
+    Object.assign({}, file, { symbols: ['A', ...file.symbols.slice(1)] }),
+    Object.assign({}, file, { maxOrder: undefined }),
+    Object.assign({}, file, { maxOrder: 0 }),
+    Object.assign({}, file, { maxOrder: 2.5 }),
+    JSON.parse(JSON.stringify(createModelFile(rootChild))),
+    Object.assign({}, file, { phrases: 'not a list' }),
+    Object.assign({}, file, { wordNGrams: { order: 3, counts: 5 } })
+  ];
+  malformed.forEach(bad => {
+    assert.throws(() => loadModelFile(bad, target));
+    assert.equal(JSON.stringify(createModelFile(target)), before);
+  });
+});
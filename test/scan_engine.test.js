@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Tests of the scan engine, driven by a fake clock.
+ *
+ * Run with `npm test`, or `node --test test/` for the unit tests alone.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScanEngine, getGridScanTree } from '../scan_engine.js';
+
+// Dwell time of every highlight unless a test says otherwise
+const dwell = 100;
+
+// Timers run by tick() in simulated time
+class FakeClock {
+  constructor() {
+    this.now = 0;
+    this.timers_ = new Map(); // Id -> {time, callback}
+    this.nextId_ = 1;
+  }
+
+  setTimeout(callback, delay) {
+    const id = this.nextId_++;
+    this.timers_.set(id, { time: this.now + delay, callback });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers_.delete(id);
+  }
+
+  // Run the timers due in the next `ms`, letting promises settle after each
+  async tick(ms) {
+    const end = this.now + ms;
+    await settle();
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      this.timers_.forEach((timer, id) => {
+        if (timer.time <= end && (!next || timer.time < next.time)) {
+          nextId = id;
+          next = timer;
+        }
+      });
+      if (!next) break;
+      this.timers_.delete(nextId);
+      this.now = next.time;
+      next.callback();
+      await settle();
+    }
+    this.now = end;
+  }
+}
+
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// An engine on a fake clock, recording its events
+function createEngine(options = {}) {
+  const clock = new FakeClock();
+  const engine = new ScanEngine(Object.assign({ clock, dwellTime: () => dwell }, options));
+  const events = [];
+  engine.on('highlight', ({ items, kind, dwell }) => {
+    events.push({ type: 'highlight', items: items.join(''), kind, dwell, time: clock.now });
+  });
+  engine.on('select', ({ item }) => events.push({ type: 'select', item }));
+  engine.on('stop', ({ reason }) => events.push({ type: 'stop', reason }));
+  return { clock, engine, events };
+}
+
+// Highlighted items, e.g. ['ABC', 'D'], since the given event
+function highlights(events, from = 0) {
+  return events.slice(from).filter(event => event.type === 'highlight')
+    .map(event => event.items);
+}
+
+function selections(events) {
+  return events.filter(event => event.type === 'select').map(event => event.item);
+}
+
+// Steps until `items` is highlighted, then selects it
+function choose(engine, events, items) {
+  for (let i = 0; i < 100; ++i) {
+    const shown = highlights(events);
+    if (shown.length > 0 && shown[shown.length - 1] === items) {
+      engine.select();
+      return;
+    }
+    engine.step();
+  }
+  assert.fail(`${items} was never highlighted`);
+}
+
+const cells = [...'ABCDEF'];
+
+test('linear scanning highlights the cells in turn and repeats', async () => {
+  const { clock, engine, events } = createEngine();
+  engine.start({ mode: 'linear', cells });
+  engine.run();
+  await clock.tick(8 * dwell);
+  assert.deepEqual(highlights(events), [...'ABCDEFAB']);
+  assert.deepEqual(events.map(event => event.time), [1, 2, 3, 4, 5, 6, 7, 8].map(n => n * dwell));
+  engine.select();
+  assert.deepEqual(selections(events), ['B']);
+});
+
+test('row-column scanning chooses a row, then a cell', () => {
+  const { engine, events } = createEngine();
+  engine.start({ mode: 'row-column', cells, tree: getGridScanTree(cells, 3, 'row-column') });
+  engine.step();
+  engine.step();
+  assert.deepEqual(events.map(event => event.kind), ['group', 'group']);
+  engine.select();
+  engine.step();
+  assert.deepEqual(highlights(events), ['ABC', 'DEF', 'D', 'E']);
+  engine.select();
+  assert.deepEqual(selections(events), ['E']);
+});
+
+test('column-row scanning chooses a column, then a cell', () => {
+  const { engine, events } = createEngine();
+  engine.start({ mode: 'column-row', cells, tree: getGridScanTree(cells, 3, 'column-row') });
+  choose(engine, events, 'BE');
+  choose(engine, events, 'E');
+  assert.deepEqual(highlights(events), ['AD', 'BE', 'B', 'E']);
+  assert.deepEqual(selections(events), ['E']);
+});
+
+test('block scanning chooses a block, a row segment, then a cell', () => {
+  const grid = [...'ABCDEFGHIJKLMNOP'];
+  const { engine, events } = createEngine();
+  engine.start({ mode: 'block', cells: grid, tree: getGridScanTree(grid, 4, 'block') });
+  choose(engine, events, 'KLOP');
+  choose(engine, events, 'OP');
+  choose(engine, events, 'P');
+  assert.deepEqual(highlights(events), ['ABEF', 'CDGH', 'IJMN', 'KLOP', 'KL', 'OP', 'O', 'P']);
+  assert.deepEqual(selections(events), ['P']);
+});
+
+test('Huffman scanning halves the cells by probability', () => {
+  const probs = { A: 0.5, B: 0.25, C: 0.125, D: 0.125 };
+  const { engine, events } = createEngine();
+  engine.start({ mode: 'huffman', cells: [...'ABCD'], probability: cell => probs[cell] });
+  choose(engine, events, 'BCD');
+  choose(engine, events, 'CD');
+  choose(engine, events, 'D');
+  assert.deepEqual(highlights(events), ['A', 'BCD', 'B', 'CD', 'C', 'D']);
+  assert.deepEqual(selections(events), ['D']);
+});
+
+test('Huffman scanning offers a single cell, and skips to the words without cells', () => {
+  const single = createEngine();
+  single.engine.start({ mode: 'huffman', cells: ['A'], probability: () => 1 });
+  single.engine.step();
+  single.engine.step();
+  assert.deepEqual(single.events.map(event => [event.items, event.kind]),
+                   [['A', 'item'], ['A', 'item']]);
+  single.engine.select();
+  assert.deepEqual(selections(single.events), ['A']);
+
+  const words = createEngine();
+  words.engine.start({ mode: 'huffman', cells: [], groups: [['X', 'Y']] });
+  words.engine.step();
+  words.engine.step();
+  words.engine.step();
+  assert.deepEqual(highlights(words.events), ['XY', 'XY', 'XY']);
+
+  const empty = createEngine();
+  empty.engine.start({ mode: 'huffman', cells: [] });
+  empty.engine.step();
+  assert.deepEqual(empty.events, [{ type: 'stop', reason: 'empty' }]);
+});
+
+test('fully predictive scanning offers likely cells and groups first', () => {
+  const probs = { A: 0.1, B: 0.1, C: 0.1, D: 0.1, E: 0.5, F: 0.1 };
+  const { engine, events } = createEngine();
+  engine.start({
+    mode: 'row-column',
+    cells,
+    tree: getGridScanTree(cells, 3, 'row-column'),
+    fullPredictive: true,
+    probability: cell => probs[cell]
+  });
+  engine.step();
+  engine.select();
+  engine.select();
+  assert.deepEqual(highlights(events), ['EDF', 'E']);
+  assert.deepEqual(selections(events), ['E']);
+});
+
+test('predicted cells and word groups come before the grid', () => {
+  const { engine, events } = createEngine();
+  engine.start({ mode: 'linear', cells, groups: [['X', 'Y']], predicted: ['E'] });
+  for (let i = 0; i < 4; ++i) engine.step();
+  assert.deepEqual(highlights(events), ['XY', 'E', 'A', 'B']);
+  for (let i = 0; i < 6; ++i) engine.step();
+  // The predicted cells are only offered before the first pass
+  assert.deepEqual(highlights(events, 8), ['XY', 'A']);
+});
+
+test('an unanswered group is escaped and highlighted again', () => {
+  const { engine, events } = createEngine();
+  engine.start({ mode: 'row-column', cells, tree: getGridScanTree(cells, 3, 'row-column') });
+  engine.step();
+  engine.select();
+  for (let i = 0; i < 4; ++i) engine.step();
+  assert.deepEqual(highlights(events), ['ABC', 'A', 'B', 'C', 'ABC', 'DEF']);
+  assert.equal(events[4].kind, 'group');
+});
+
+test('scanning times out after maxPasses unanswered passes', async () => {
+  const { clock, engine, events } = createEngine();
+  engine.start({ mode: 'linear', cells: [...'ABC'], maxPasses: 2 });
+  engine.run();
+  await clock.tick(20 * dwell);
+  assert.deepEqual(highlights(events), [...'ABCABC']);
+  assert.deepEqual(events[events.length - 1], { type: 'stop', reason: 'timeout' });
+  assert.equal(engine.scanning, false);
+});
+
+test('scanning without a pass limit never times out', async () => {
+  const { clock, engine, events } = createEngine();
+  engine.start({ mode: 'linear', cells: [...'ABC'], maxPasses: 0 });
+  engine.run();
+  await clock.tick(30 * dwell);
+  assert.equal(highlights(events).length, 30);
+  assert.equal(engine.scanning, true);
+});
+
+test('a timeout listener can restart scanning or leave it paused', async () => {
+  const plan = { mode: 'linear', cells: [...'AB'], maxPasses: 1 };
+
+  // Restart: scanning starts over from the first cell
+  const restarted = createEngine();
+  restarted.engine.on('stop', ({ reason }) => {
+    if (reason === 'timeout') {
+      restarted.engine.start(plan);
+      restarted.engine.run();
+    }
+  });
+  restarted.engine.start(plan);
+  restarted.engine.run();
+  await restarted.clock.tick(7 * dwell);
+  assert.deepEqual(highlights(restarted.events), [...'ABABA']);
+  assert.equal(restarted.engine.scanning, true);
+
+  // Pause: nothing moves until the user starts again
+  const paused = createEngine();
+  paused.engine.start(plan);
+  paused.engine.run();
+  await paused.clock.tick(10 * dwell);
+  assert.deepEqual(highlights(paused.events), [...'AB']);
+  paused.engine.start(plan);
+  paused.engine.step();
+  assert.deepEqual(highlights(paused.events), [...'ABA']);
+});
+
+test('firstItemDelay lengthens the first item of each pass and group', async () => {
+  const { clock, engine, events } = createEngine({ firstItemDelay: 300 });
+  engine.start({ mode: 'row-column', cells, tree: getGridScanTree(cells, 3, 'row-column') });
+  engine.run();
+  await clock.tick(dwell);
+  assert.deepEqual(events.map(event => [event.items, event.dwell, event.time]),
+                   [['ABC', dwell + 300, dwell]]);
+  await clock.tick(dwell + 300);
+  assert.deepEqual(events[1].items, 'DEF');
+  assert.equal(events[1].dwell, dwell);
+  engine.select();
+  assert.deepEqual([events[2].items, events[2].dwell], ['D', dwell + 300]);
+  await clock.tick(dwell + 299);
+  assert.equal(highlights(events).length, 3);
+  await clock.tick(1);
+  assert.deepEqual(highlights(events, 3), ['E']);
+});
+
+test('waitFor holds the next step until the cue has finished', async () => {
+  const { clock, engine, events } = createEngine();
+  let finishCue = null;
+  engine.on('highlight', () => {
+    engine.waitFor(new Promise(resolve => { finishCue = resolve; }));
+  });
+  engine.start({ mode: 'linear', cells });
+  engine.run();
+  await clock.tick(dwell);
+  await clock.tick(10 * dwell);
+  assert.deepEqual(highlights(events), ['A']);
+  finishCue();
+  await clock.tick(0);
+  assert.deepEqual(highlights(events), ['A', 'B']);
+});
+
+test('a failed cue does not stop scanning', async () => {
+  const { clock, engine, events } = createEngine();
+  engine.on('highlight', () => engine.waitFor(Promise.reject(new Error('No voice'))));
+  engine.start({ mode: 'linear', cells });
+  engine.run();
+  await clock.tick(3 * dwell);
+  assert.deepEqual(highlights(events), [...'ABC']);
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Text normalization shared by training and live input.
+ *
+ * The PPM model only learns useful statistics if the symbols it sees while
+ * training on the corpus are the same symbols it sees while the user types.
+ * Every piece of text, whether it comes from training_data.txt or from the
+ * letter grid, is passed through the same pipeline:
+ *
+ *   1. Case folding (upper case by default, matching the grid).
+ *   2. Mapping of punctuation, newlines and other characters to configurable
+ *      symbols. A mapping to the empty string drops the character and a
+ *      mapping to `sentenceEndSymbol` marks the end of a sentence.
+ *   3. Sentence boundary handling: the end of a sentence is emitted as the
+ *      configurable boundary symbol (a space by default).
+ *   4. Filtering to the allowed symbol set and collapsing repeated
+ *      separators, so "Yes, please.\nNo" becomes "YES PLEASE NO".
+ */
+
+// Marker used in symbol maps for characters that end a sentence.
+const sentenceEndSymbol = '<S>';
+
+// Default mapping applied after case folding.
+const defaultSymbolMap = {
+  '\n': sentenceEndSymbol,
+  '\r': '',
+  '.': sentenceEndSymbol,
+  '?': sentenceEndSymbol,
+  '!': sentenceEndSymbol,
+  '\t': ' ',
+  '-': ' ',
+  ',': '',
+  ';': '',
+  ':': '',
+  '"': '',
+  "'": '',
+  '’': '' // Typographic apostrophe
+};
+
+// Default set of symbols the model is trained on: the grid letters and space.
+const defaultAllowedSymbols = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ '.split('');
+
+class TextNormalizer {
+  /**
+   * @param {?Object} options Optional settings:
+   *   caseFolding: 'upper' (default), 'lower' or 'none'.
+   *   symbolMap: Overrides merged into the default character mapping.
+   *   sentenceBoundarySymbol: Symbol emitted at the end of a sentence.
+   *   allowedSymbols: Array of symbols kept in the output.
+   */
+  constructor(options = {}) {
+    this.caseFolding = options.caseFolding || 'upper';
+    this.symbolMap = Object.assign({}, defaultSymbolMap, options.symbolMap);
+    this.sentenceBoundarySymbol = options.sentenceBoundarySymbol !== undefined ?
+      options.sentenceBoundarySymbol : ' ';
+    this.allowedSymbols = new Set(options.allowedSymbols || defaultAllowedSymbols);
+    this.allowedSymbols.add(this.sentenceBoundarySymbol);
+  }
+
+  // Apply case folding to a single character
+  foldCase(char) {
+    if (this.caseFolding === 'upper') return char.toUpperCase();
+    if (this.caseFolding === 'lower') return char.toLowerCase();
+    return char;
+  }
+
+  // Map a single character to its symbol, or '' if it should be dropped
+  normalizeChar(char) {
+    let symbol = Object.prototype.hasOwnProperty.call(this.symbolMap, char) ?
+      this.symbolMap[char] : this.foldCase(char);
+    if (symbol === sentenceEndSymbol) {
+      symbol = this.sentenceBoundarySymbol;
+    }
+    return this.allowedSymbols.has(symbol) ? symbol : '';
+  }
+
+  // Spaces and sentence boundaries are not repeated in the symbol stream
+  isSeparator(symbol) {
+    return symbol === ' ' || symbol === this.sentenceBoundarySymbol;
+  }
+
+  /**
+   * Converts text to the symbol stream seen by the model.
+   * @param {string} text Raw text.
+   * @param {?string} previousSymbol Last symbol emitted before this text, used
+   *                  to continue a stream one selection at a time. Defaults to
+   *                  the sentence boundary, i.e. the start of a new text.
+   * @return {!Array<string>} Normalized symbols.
+   */
+  normalize(text, previousSymbol = this.sentenceBoundarySymbol) {
+    const symbols = [];
+    let previous = previousSymbol;
+    for (const char of text) {
+      const symbol = this.normalizeChar(char);
+      if (!symbol) continue;
+      if (this.isSeparator(symbol) && symbol === previous) continue;
+      symbols.push(symbol);
+      previous = symbol;
+    }
+    return symbols;
+  }
+}
+
+export { TextNormalizer, sentenceEndSymbol };
@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Offline evaluation of prediction quality and scanning cost.
+ *
+ * Runs the app's models over a held-out text and reports:
+ *   - Cross-entropy (bits per symbol) and perplexity of the PPM model.
+ *   - Top-1 and top-N accuracy of the letter predictions.
+ *   - Keystroke savings from the word predictions: a word is taken as soon
+ *     as it is among the offered predictions, costing one selection instead
+ *     of its remaining letters and the space that follows.
+ *   - Scan steps (highlights) and switch presses per symbol in each scan
+ *     mode, for an ideal user who chooses the target as soon as it is
+ *     highlighted. Only the grid is scanned, letter by letter; the word bars
+ *     are left out.
+ *
+ * The models and the scan engine are the app's own ES modules, so the numbers
+ * come from the same code as the app. Nothing is random: the same text and
+ * options give the same results.
+ *
+ * Usage:
+ *   node tools/evaluate.js HELD_OUT_TEXT [options]
+ *
+ * Options:
+ *   --train FILE        Training text, default training_data.txt.
+ *   --model FILE        Model file to evaluate instead of training one.
+ *   --order N           Order of the trained model, default 3.
+ *   --alpha X           Smoothing alpha of the PPM model.
+ *   --beta X            Smoothing beta of the PPM model.
+ *   --exclusion         Use the PPM exclusion mechanism.
+ *   --adapt             Learn the held-out text while it is typed, as the
+ *                       app does.
+ *   --layout NAME       abc, qwerty, frequency or dynamic, default abc.
+ *   --prediction MODE   off, first or full, default first.
+ *   --top N             Letter predictions counted for top-N accuracy,
+ *                       default 6.
+ *   --json              Print the results as JSON.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  SymbolSet,
+  TextNormalizer,
+  Vocabulary,
+  PPMLanguageModel,
+  WordNGramModel,
+  PhraseStore,
+  loadModelFile,
+  ScanEngine,
+  getGridScanTree,
+  arrangeGridByProbability
+} from '../modules.js';
+
+const rootDir = fileURLToPath(new URL('..', import.meta.url));
+
+const scanModes = ['linear', 'row-column', 'column-row', 'block', 'huffman'];
+
+// Grid rows and predicted letters, as in initGrid() and startScanning()
+const gridRows = 6;
+const predictedLetters = 6;
+
+// Word predictions offered at once, as in getTopPredictions()
+const maxWordPredictions = 4;
+
+// Highlights after which a target is considered unreachable
+const maxScanSteps = 10000;
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node tools/evaluate.js HELD_OUT_TEXT [--train FILE] ' +
+                '[--model FILE] [--order N] [--alpha X] [--beta X] [--exclusion] ' +
+                '[--adapt] [--layout NAME] [--prediction MODE] [--top N] [--json]');
+  process.exit(1);
+}
+
+// Command line options, see the usage above
+function parseArgs(argv) {
+  const options = {
+    heldOut: null,
+    train: path.join(rootDir, 'training_data.txt'),
+    model: null,
+    order: 3,
+    ppmOptions: {},
+    adapt: false,
+    layout: 'abc',
+    prediction: 'first',
+    top: 6,
+    json: false
+  };
+  const number = (name, value) => {
+    const parsed = parseFloat(value);
+    if (!Number.isFinite(parsed)) usage(`${name} needs a number`);
+    return parsed;
+  };
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--train': options.train = value(); break;
+      case '--model': options.model = value(); break;
+      case '--order': options.order = number(arg, value()); break;
+      case '--alpha': options.ppmOptions.knAlpha = number(arg, value()); break;
+      case '--beta': options.ppmOptions.knBeta = number(arg, value()); break;
+      case '--exclusion': options.ppmOptions.useExclusion = true; break;
+      case '--adapt': options.adapt = true; break;
+      case '--layout': options.layout = value(); break;
+      case '--prediction': options.prediction = value(); break;
+      case '--top': options.top = number(arg, value()); break;
+      case '--json': options.json = true; break;
+      default:
+        if (arg.startsWith('--') || options.heldOut) usage(`Unknown argument: ${arg}`);
+        options.heldOut = arg;
+    }
+  }
+  if (!options.heldOut) usage();
+  if (!['abc', 'qwerty', 'frequency', 'dynamic'].includes(options.layout)) {
+    usage(`Unknown layout: ${options.layout}`);
+  }
+  if (!['off', 'first', 'full'].includes(options.prediction)) {
+    usage(`Unknown prediction mode: ${options.prediction}`);
+  }
+  return options;
+}
+
+// The models as the app sets them up, loaded from a model file or trained
+function createModels(options) {
+  const symbolSet = new SymbolSet();
+  const normalizer = new TextNormalizer(symbolSet.normalizerOptions());
+  const vocab = new Vocabulary();
+  const wordModel = new WordNGramModel(3, word => vocab.cleanWord(word));
+  const phraseStore = new PhraseStore(word => vocab.cleanWord(word));
+  let ppm;
+  if (options.model) {
+    const file = JSON.parse(fs.readFileSync(options.model, 'utf8'));
+    ppm = loadModelFile(file, { vocab, wordModel, phraseStore }, options.ppmOptions);
+  } else {
+    const trainingText = fs.readFileSync(options.train, 'utf8');
+    vocab.trainOnText(trainingText, normalizer);
+    wordModel.trainOnText(trainingText);
+    ppm = new PPMLanguageModel(vocab, options.order, options.ppmOptions);
+    const trainContext = ppm.createContext();
+    normalizer.normalize(trainingText).forEach(symbol => {
+      ppm.addSymbolAndUpdate(trainContext, vocab.getSymbolIndex(symbol));
+    });
+  }
+  symbolSet.symbols.forEach(symbol => vocab.addSymbol(symbol));
+  return { symbolSet, normalizer, vocab, wordModel, ppm };
+}
+
+// Counts the highlights and selections an ideal user needs to choose a cell
+class ScanSimulator {
+  constructor() {
+    // Steps are driven by hand, the clock is never used
+    this.engine = new ScanEngine({
+      clock: { setTimeout: () => null, clearTimeout: () => {} }
+    });
+    this.highlighted_ = [];
+    this.selected_ = null;
+    this.steps_ = 0;
+    this.engine.on('highlight', ({ items }) => {
+      this.highlighted_ = items;
+      this.steps_++;
+    });
+    this.engine.on('select', ({ item }) => {
+      this.selected_ = item;
+    });
+  }
+
+  /**
+   * Scans a plan until the target cell is chosen.
+   * @param {!Object} plan Scan plan, see ScanEngine.start().
+   * @param {!Object} target Cell to choose.
+   * @return {{steps: number, presses: number}} Highlights and selections.
+   */
+  choose(plan, target) {
+    this.highlighted_ = [];
+    this.selected_ = null;
+    this.steps_ = 0;
+    let presses = 0;
+    this.engine.start(plan);
+    while (this.selected_ === null) {
+      if (this.steps_ > maxScanSteps) {
+        throw new Error('Scanning never reached the target cell');
+      }
+      if (this.highlighted_.includes(target)) {
+        presses++;
+        this.engine.select();
+      } else {
+        this.engine.step();
+      }
+    }
+    this.engine.stop();
+    if (this.selected_ !== target) {
+      throw new Error('Scanning chose the wrong cell');
+    }
+    return { steps: this.steps_, presses };
+  }
+}
+
+// Evaluates the models on the held-out text and returns the results
+function evaluate(models, heldOutText, options) {
+  const { symbolSet, normalizer, vocab, wordModel, ppm } = models;
+  const symbols = normalizer.normalize(heldOutText);
+  const context = ppm.createContext();
+  ppm.addSymbolToContext(context, vocab.getSymbolIndex(normalizer.sentenceBoundarySymbol));
+
+  let totalBits = 0;
+  let top1Hits = 0;
+  let topNHits = 0;
+
+  // Word prediction state
+  let selections = 0;
+  let wordStart = 0;
+  let predictedWord = false; // Rest of the current word came from a prediction
+  let sentenceWords = [];
+  let numWords = 0;
+
+  // Scanning state
+  const simulator = new ScanSimulator();
+  const scanCosts = {};
+  scanModes.forEach(mode => {
+    scanCosts[mode] = { steps: 0, presses: 0 };
+  });
+  let page = symbolSet.firstPage;
+
+  // Cells of a page as laid out by initGrid(): symbols, then page keys
+  const gridCells = (pageName, mode, cellProb) => {
+    let cells = symbolSet.getPageSymbols(pageName, options.layout)
+      .map(char => ({ char }));
+    symbolSet.pageNames.filter(name => name !== pageName)
+      .forEach(name => cells.push({ page: name }));
+    const numCols = Math.ceil(cells.length / gridRows);
+    if (options.layout === 'dynamic') {
+      cells = arrangeGridByProbability(cells, numCols, mode, cellProb);
+    }
+    return { cells, numCols };
+  };
+
+  // Cost of choosing a cell in every scan mode, as in startScanning()
+  const scanTo = (pageName, isTarget, probs, rankedSymbols) => {
+    const symbolProb = symbol => probs[vocab.getSymbolIndex(symbol)] || 0;
+    const onPage = new Set(symbolSet.getPageSymbols(pageName));
+    const cellProb = cell => cell.page ?
+      symbolSet.getPageSymbols(cell.page)
+        .filter(symbol => !onPage.has(symbol))
+        .reduce((sum, symbol) => sum + symbolProb(symbol), 0) :
+      symbolProb(cell.char);
+    scanModes.forEach(mode => {
+      const { cells, numCols } = gridCells(pageName, mode, cellProb);
+      let predicted = [];
+      if (options.prediction === 'first' && mode !== 'huffman') {
+        const top = rankedSymbols.slice(0, predictedLetters);
+        predicted = cells.filter(cell => top.includes(cell.char))
+          .sort((a, b) => top.indexOf(a.char) - top.indexOf(b.char));
+      }
+      const cost = simulator.choose({
+        mode,
+        groups: [],
+        cells,
+        tree: getGridScanTree(cells, numCols, mode),
+        predicted,
+        fullPredictive: options.prediction === 'full',
+        probability: cellProb,
+        maxPasses: 0
+      }, cells.find(isTarget));
+      scanCosts[mode].steps += cost.steps;
+      scanCosts[mode].presses += cost.presses;
+    });
+  };
+
+  symbols.forEach((symbol, position) => {
+    const index = vocab.getSymbolIndex(symbol);
+    const probs = ppm.getProbs(context);
+
+    // Letter prediction
+    totalBits -= Math.log2(probs[index]);
+    const rankedSymbols = symbolSet.symbols
+      .filter(candidate => probs[vocab.getSymbolIndex(candidate)] > 0)
+      .sort((a, b) => probs[vocab.getSymbolIndex(b)] - probs[vocab.getSymbolIndex(a)]);
+    const rank = rankedSymbols.indexOf(symbol);
+    if (rank === 0) top1Hits++;
+    if (rank >= 0 && rank < options.top) topNHits++;
+
+    // Word prediction: one selection types the letter or, if the word is
+    // offered, takes the whole word. The space after a taken word is added
+    // with it.
+    const isBreak = vocab.wordBreakSymbols.has(symbol);
+    if (isBreak) {
+      if (!(predictedWord && symbol === ' ')) selections++;
+    } else if (!predictedWord) {
+      selections++;
+      let end = position;
+      while (end < symbols.length && !vocab.wordBreakSymbols.has(symbols[end])) end++;
+      const word = symbols.slice(wordStart, end).join('');
+      const prefix = symbols.slice(wordStart, position).join('');
+      const predictions = prefix ?
+        vocab.getWordPredictions(prefix, rest => ppm.getSequenceLogProb(context,
+          normalizer.normalize(rest + ' ', prefix.slice(-1))
+            .map(restSymbol => vocab.getSymbolIndex(restSymbol)))) :
+        wordModel.predict(sentenceWords);
+      predictedWord = predictions.slice(0, maxWordPredictions)
+        .includes(vocab.cleanWord(word));
+    }
+
+    // Scanning: switch page first if the symbol isn't on the current one
+    if (!symbolSet.getPageSymbols(page).includes(symbol)) {
+      const target = symbolSet.pageNames.find(name =>
+        symbolSet.getPageSymbols(name).includes(symbol));
+      scanTo(page, cell => cell.page === target, probs, rankedSymbols);
+      page = target;
+    }
+    scanTo(page, cell => cell.char === symbol, probs, rankedSymbols);
+    if (page !== symbolSet.firstPage && symbolSet.pages[page].returnToFirstPage) {
+      page = symbolSet.firstPage;
+    }
+
+    // Move on, learning the symbol if the model adapts
+    if (options.adapt) {
+      ppm.addSymbolAndUpdate(context, index);
+    } else {
+      ppm.addSymbolToContext(context, index);
+    }
+    if (isBreak) {
+      const word = vocab.cleanWord(symbols.slice(wordStart, position).join(''));
+      if (word) {
+        numWords++;
+        if (options.adapt) {
+          vocab.useWord(word);
+          wordModel.addWord(sentenceWords, word);
+        }
+        sentenceWords.push(word);
+      }
+      if (/[.?!]/.test(symbol)) sentenceWords = [];
+      wordStart = position + 1;
+      predictedWord = false;
+    }
+  });
+
+  const numSymbols = symbols.length;
+  const bitsPerSymbol = totalBits / numSymbols;
+  const perSymbol = {};
+  scanModes.forEach(mode => {
+    perSymbol[mode] = {
+      stepsPerSymbol: scanCosts[mode].steps / numSymbols,
+      pressesPerSymbol: scanCosts[mode].presses / numSymbols
+    };
+  });
+  return {
+    symbols: numSymbols,
+    words: numWords,
+    model: {
+      order: ppm.getMaxOrder(),
+      knAlpha: ppm.knAlpha_,
+      knBeta: ppm.knBeta_,
+      useExclusion: ppm.useExclusion_,
+      nodes: ppm.numNodes_
+    },
+    crossEntropy: bitsPerSymbol,
+    perplexity: Math.pow(2, bitsPerSymbol),
+    top1Accuracy: top1Hits / numSymbols,
+    topNAccuracy: topNHits / numSymbols,
+    top: options.top,
+    selections,
+    keystrokeSavings: 1 - selections / numSymbols,
+    layout: options.layout,
+    prediction: options.prediction,
+    adapt: options.adapt,
+    scan: perSymbol
+  };
+}
+
+function printResults(results) {
+  const percent = value => (100 * value).toFixed(1) + '%';
+  const { model } = results;
+  console.log(`Held-out text: ${results.symbols} symbols, ${results.words} words` +
+              (results.adapt ? ' (adapting)' : ''));
+  console.log(`Model: order ${model.order}, alpha ${model.knAlpha}, ` +
+              `beta ${model.knBeta}, exclusion ${model.useExclusion ? 'on' : 'off'}, ` +
+              `${model.nodes} nodes`);
+  console.log(`Cross-entropy: ${results.crossEntropy.toFixed(3)} bits/symbol ` +
+              `(perplexity ${results.perplexity.toFixed(2)})`);
+  console.log(`Letter accuracy: top-1 ${percent(results.top1Accuracy)}, ` +
+              `top-${results.top} ${percent(results.topNAccuracy)}`);
+  console.log(`Keystroke savings: ${percent(results.keystrokeSavings)} ` +
+              `(${results.selections} selections for ${results.symbols} symbols)`);
+  console.log(`Scanning (layout ${results.layout}, prediction ${results.prediction}):`);
+  console.log('  mode         steps/symbol  presses/symbol');
+  scanModes.forEach(mode => {
+    const { stepsPerSymbol, pressesPerSymbol } = results.scan[mode];
+    console.log(`  ${mode.padEnd(12)} ${stepsPerSymbol.toFixed(2).padStart(12)}  ` +
+                `${pressesPerSymbol.toFixed(2).padStart(14)}`);
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const models = createModels(options);
+  const heldOutText = fs.readFileSync(options.heldOut, 'utf8');
+  const results = evaluate(models, heldOutText, options);
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    printResults(results);
+  }
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  main();
+}
+
+export { createModels, evaluate, ScanSimulator };
@@ -0,0 +1,474 @@
+/**
+ * @fileoverview Simulated switch user for end-to-end scanning tests.
+ *
+ * Loads index.html with all its scripts in jsdom, with the page's timers and
+ * Date.now() replaced by a fake clock, and lets a virtual one-switch user type
+ * a target sentence through the real scanner: the user watches the scan
+ * highlights, waits a reaction time and presses the select switch, which
+ * reaches the app as a key press like a real switch interface. Phrases and
+ * word predictions are taken when they match the target, otherwise the user
+ * aims at the grid cell of the next symbol, switching pages as needed.
+ *
+ * The reaction time is drawn from a normal distribution with a seeded random
+ * generator, so runs are reproducible. A press that lands after the highlight
+ * moved on chooses the wrong item; the user then corrects it with the Undo
+ * button after the correction time. With a miss probability the user
+ * sometimes doesn't react to the target at all; if scanning times out the
+ * user presses the switch to resume.
+ *
+ * For each scan mode the time, switch presses, selections, errors and missed
+ * highlights to type the sentence are reported. With --check the run is a
+ * regression test: every mode must type the sentence without errors, and
+ * predictive scanning must beat scanning without prediction in the modes it
+ * applies to (Huffman scanning always orders by probability).
+ *
+ * jsdom doesn't run module scripts, so the page's ES modules are evaluated in
+ * the page's context with vm.SourceTextModule, which needs the
+ * --experimental-vm-modules flag of Node (set by `npm test`).
+ *
+ * Usage:
+ *   node --experimental-vm-modules tools/simulate_user.js [options]
+ *
+ * Options:
+ *   --text TEXT         Sentence to type, default "MY SISTER IS COMING TODAY".
+ *   --modes LIST        Comma separated scan modes, default all.
+ *   --prediction LIST   Comma separated prediction modes (off, first, full),
+ *                       default all three.
+ *   --layout NAME       abc, qwerty, frequency or dynamic, default abc.
+ *   --speed MS          Scan speed, default 800.
+ *   --reaction MS       Mean reaction time, default 400.
+ *   --jitter MS         Standard deviation of the reaction time, default 0.
+ *   --miss P            Probability of not reacting to the target, default 0.
+ *   --correction MS     Time to undo a wrong selection, default 3000.
+ *   --seed N            Random seed, default 1.
+ *   --check             Fail unless the regression checks above pass.
+ *   --json              Print the results as JSON.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const rootDir = fileURLToPath(new URL('..', import.meta.url));
+
+const scanModes = ['linear', 'row-column', 'column-row', 'block', 'huffman'];
+const predictionModes = ['off', 'first', 'full'];
+
+// Time a switch is held down
+const switchHoldTime = 100;
+
+// Simulated time after which a run gives up
+const maxRunTime = 30 * 60 * 1000;
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error('Usage: node --experimental-vm-modules tools/simulate_user.js [--text TEXT] [--modes LIST] ' +
+                '[--prediction LIST] [--layout NAME] [--speed MS] [--reaction MS] ' +
+                '[--jitter MS] [--miss P] [--correction MS] [--seed N] [--check] [--json]');
+  process.exit(1);
+}
+
+// Command line options, see the usage above
+function parseArgs(argv) {
+  const options = {
+    text: 'MY SISTER IS COMING TODAY',
+    modes: scanModes,
+    predictions: predictionModes,
+    layout: 'abc',
+    speed: 800,
+    reaction: 400,
+    jitter: 0,
+    miss: 0,
+    correction: 3000,
+    seed: 1,
+    check: false,
+    json: false
+  };
+  const number = (name, value) => {
+    const parsed = parseFloat(value);
+    if (!Number.isFinite(parsed)) usage(`${name} needs a number`);
+    return parsed;
+  };
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--text': options.text = value(); break;
+      case '--modes': options.modes = value().split(','); break;
+      case '--prediction': options.predictions = value().split(','); break;
+      case '--layout': options.layout = value(); break;
+      case '--speed': options.speed = number(arg, value()); break;
+      case '--reaction': options.reaction = number(arg, value()); break;
+      case '--jitter': options.jitter = number(arg, value()); break;
+      case '--miss': options.miss = number(arg, value()); break;
+      case '--correction': options.correction = number(arg, value()); break;
+      case '--seed': options.seed = number(arg, value()); break;
+      case '--check': options.check = true; break;
+      case '--json': options.json = true; break;
+      default: usage(`Unknown argument: ${arg}`);
+    }
+  }
+  options.modes.forEach(mode => {
+    if (!scanModes.includes(mode)) usage(`Unknown scan mode: ${mode}`);
+  });
+  options.predictions.forEach(mode => {
+    if (!predictionModes.includes(mode)) usage(`Unknown prediction mode: ${mode}`);
+  });
+  if (!['abc', 'qwerty', 'frequency', 'dynamic'].includes(options.layout)) {
+    usage(`Unknown layout: ${options.layout}`);
+  }
+  return options;
+}
+
+// Deterministic random numbers in [0, 1) (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Timers of the page, run in simulated time by runUntil()
+class FakeClock {
+  constructor() {
+    this.now = 0;
+    this.timers_ = new Map(); // Id -> {time, callback, interval}
+    this.nextId_ = 1;
+  }
+
+  setTimeout(callback, delay = 0, ...args) {
+    const id = this.nextId_++;
+    this.timers_.set(id, {
+      time: this.now + Math.max(0, delay || 0),
+      callback: () => callback(...args),
+      interval: null
+    });
+    return id;
+  }
+
+  setInterval(callback, delay = 0, ...args) {
+    const id = this.setTimeout(callback, delay, ...args);
+    this.timers_.get(id).interval = Math.max(1, delay || 0);
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers_.delete(id);
+  }
+
+  // Install the clock in place of the window's timers
+  install(window) {
+    window.setTimeout = this.setTimeout.bind(this);
+    window.clearTimeout = this.clearTimeout.bind(this);
+    window.setInterval = this.setInterval.bind(this);
+    window.clearInterval = this.clearTimeout.bind(this);
+    window.requestAnimationFrame = callback =>
+      this.setTimeout(() => callback(this.now), 16);
+    window.cancelAnimationFrame = this.clearTimeout.bind(this);
+    window.Date.now = () => this.now;
+  }
+
+  /**
+   * Runs the timers in order of their time, letting promises settle after
+   * each one, until the condition holds or no timer is left.
+   * @param {function(): boolean} condition Checked after every timer.
+   * @param {number} until Simulated time at which to give up.
+   * @return {!Promise<boolean>} Whether the condition holds.
+   */
+  async runUntil(condition, until) {
+    await settle();
+    while (!condition()) {
+      let nextId = null;
+      let next = null;
+      this.timers_.forEach((timer, id) => {
+        if (!next || timer.time < next.time) {
+          nextId = id;
+          next = timer;
+        }
+      });
+      if (!next || next.time > until) return false;
+      this.now = next.time;
+      if (next.interval) {
+        next.time += next.interval;
+      } else {
+        this.timers_.delete(nextId);
+      }
+      next.callback();
+      await settle();
+    }
+    return true;
+  }
+}
+
+// Let pending promise callbacks run
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Serve the app's files to fetch()
+async function fetchFile(url) {
+  const file = path.join(rootDir, String(url));
+  if (!fs.existsSync(file)) {
+    return { ok: false, status: 404, text: async () => '', json: async () => null };
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  return { ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text) };
+}
+
+/**
+ * Evaluates an ES module and its imports in the page's context, where they
+ * see the page's timers, as the module script of index.html does.
+ * @param {string} file Module file, relative to the app's directory.
+ * @param {!Object} context The page's vm context.
+ * @return {!Promise<!Object>} The module namespace.
+ */
+async function importIntoPage(file, context) {
+  if (!vm.SourceTextModule) {
+    throw new Error('Run Node with --experimental-vm-modules to load the app');
+  }
+  const modules = new Map();
+  const load = file => {
+    if (!modules.has(file)) {
+      const source = fs.readFileSync(path.join(rootDir, file), 'utf8');
+      modules.set(file, new vm.SourceTextModule(source, { identifier: file, context }));
+    }
+    return modules.get(file);
+  };
+  const module = load(file);
+  await module.link((specifier, referencing) =>
+    load(path.posix.join(path.posix.dirname(referencing.identifier), specifier)));
+  await module.evaluate();
+  return module.namespace;
+}
+
+/**
+ * Loads the app in jsdom on a fake clock.
+ * @return {!Promise<{dom: !JSDOM, clock: !FakeClock, app: function(string): *}>}
+ *     The page, its clock and a function evaluating an expression in the page.
+ */
+async function loadApp() {
+  const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+  const scripts = [...html.matchAll(/<script defer src="([^"]+)"><\/script>/g)]
+    .map(match => match[1]);
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => console.error(error.message));
+  virtualConsole.on('error', (...args) => console.error(...args));
+  const dom = new JSDOM(html.replace(/<script[^>]*>[\s\S]*?<\/script>/g, ''), {
+    url: 'http://localhost/',
+    runScripts: 'outside-only',
+    virtualConsole
+  });
+  const window = dom.window;
+  const clock = new FakeClock();
+  clock.install(window);
+  window.fetch = fetchFile;
+  const context = dom.getInternalVMContext();
+  Object.assign(window, await importIntoPage('modules.js', context));
+  scripts.forEach(file => {
+    const source = fs.readFileSync(path.join(rootDir, file), 'utf8');
+    new vm.Script(source, { filename: file }).runInContext(context);
+  });
+  return { dom, clock, app: expression => vm.runInContext(expression, context) };
+}
+
+// Change a control as the user would in the settings panel
+function setControl(window, id, value) {
+  const control = window.document.getElementById(id);
+  control.value = value;
+  control.dispatchEvent(new window.Event('change'));
+  control.dispatchEvent(new window.Event('input'));
+}
+
+/**
+ * Types the text with one scan mode and prediction mode.
+ * @param {!Object} options See parseArgs().
+ * @param {string} mode Scan mode.
+ * @param {string} prediction Prediction mode.
+ * @return {!Promise<!Object>} Results of the run.
+ */
+async function simulateRun(options, mode, prediction) {
+  const { dom, clock, app } = await loadApp();
+  const window = dom.window;
+  const document = window.document;
+  const random = createRandom(options.seed);
+  const target = options.text.toUpperCase().replace(/\s+/g, ' ').trim();
+  const symbolSet = app('symbolSet');
+  target.split('').forEach(char => {
+    if (!symbolSet.has(char)) throw new Error(`Can't type "${char}"`);
+  });
+
+  // Wait for the model, then set up the scanner like the settings panel
+  const ready = await clock.runUntil(() => app('scanning'), maxRunTime);
+  if (!ready) throw new Error('The app did not start scanning');
+  setControl(window, 'switch-mode', 'auto');
+  setControl(window, 'keyboard-layout', options.layout);
+  setControl(window, 'scan-mode', mode);
+  setControl(window, 'prediction-mode', prediction);
+  setControl(window, 'scan-speed', String(options.speed));
+  if (!app('scanning')) app('startScanning()');
+
+  const scanEngine = app('scanEngine');
+  const messageElement = document.getElementById('message');
+  const message = () => messageElement.textContent;
+  const done = () => message().trim() === target;
+  const startTime = clock.now;
+  const results = { mode, prediction, done: false, time: 0, presses: 0,
+                    selections: 0, errors: 0, misses: 0 };
+  let correcting = false; // Waiting to undo a wrong selection
+
+  const pressSwitch = () => {
+    const init = { code: 'Space', key: ' ', bubbles: true };
+    document.dispatchEvent(new window.KeyboardEvent('keydown', init));
+    clock.setTimeout(() => {
+      document.dispatchEvent(new window.KeyboardEvent('keyup', init));
+    }, switchHoldTime);
+  };
+  const reactionTime = () => {
+    // Normal distribution by the Box-Muller transform
+    const normal = Math.sqrt(-2 * Math.log(1 - random())) *
+      Math.cos(2 * Math.PI * random());
+    return Math.max(switchHoldTime, options.reaction + options.jitter * normal);
+  };
+
+  // The element the user wants next: a phrase or word that continues the
+  // target, or else the grid cell of the next symbol or its page key
+  const findTarget = () => {
+    const typed = message();
+    const next = target[typed.length];
+    const sentenceStart = typed.match(/^[\s\S]*[.?!]\s*/);
+    const sentence = target.slice(sentenceStart ? sentenceStart[0].length : 0);
+    const wordStart = typed.search(/[^\s.,?!]*$/);
+    const word = target.slice(wordStart).match(/^[^\s.,?!]*/)[0];
+    const fits = text => [' ', undefined].includes(target[text.length]);
+    const visible = selector => Array.from(document.querySelectorAll(selector))
+      .filter(el => el.style.display !== 'none' && el.textContent);
+    const phrase = visible('#phrases .phrase').find(el =>
+      sentence.startsWith(el.textContent) &&
+      fits(target.slice(0, target.length - sentence.length) + el.textContent));
+    if (phrase) return phrase;
+    const wordElement = word.length > 0 && fits(target.slice(0, wordStart) + word) &&
+      visible('#predictions .prediction, #corrections .correction')
+        .find(el => el.textContent === word && word.length > typed.length - wordStart);
+    if (wordElement) return wordElement;
+    const cells = Array.from(document.querySelectorAll('#letter-grid .letter'));
+    return cells.find(el => el.dataset.char === next) ||
+      cells.find(el => el.dataset.page &&
+        symbolSet.getPageSymbols(el.dataset.page).includes(next));
+  };
+
+  scanEngine.on('highlight', ({ items }) => {
+    if (correcting || done()) return;
+    const wanted = findTarget();
+    if (!wanted || !items.includes(wanted)) return;
+    if (random() < options.miss) {
+      results.misses++;
+      return;
+    }
+    clock.setTimeout(pressSwitch, reactionTime());
+  });
+  scanEngine.on('select', () => {
+    results.selections++;
+    // A wrong selection leaves text that doesn't lead to the target
+    if (!(target + ' ').startsWith(message()) && !correcting) {
+      results.errors++;
+      correcting = true;
+      clock.setTimeout(() => {
+        for (let i = 0; i < target.length && !(target + ' ').startsWith(message()); ++i) {
+          document.getElementById('undo-btn').click();
+        }
+        correcting = false;
+      }, options.correction);
+    }
+  });
+  scanEngine.on('stop', ({ reason }) => {
+    // Resume scanning after a timeout
+    if (reason === 'timeout') clock.setTimeout(pressSwitch, reactionTime());
+  });
+  app('switchInput').on('press', () => {
+    results.presses++;
+  });
+
+  results.done = await clock.runUntil(done, startTime + maxRunTime);
+  results.time = clock.now - startTime;
+  app('stopScanning()');
+  window.close();
+  return results;
+}
+
+function printResults(options, runs) {
+  console.log(`Typing "${options.text}" (layout ${options.layout}, ` +
+              `speed ${options.speed} ms, reaction ${options.reaction}±${options.jitter} ms, ` +
+              `miss ${options.miss})`);
+  console.log('  mode         prediction   time (s)  presses  selections  errors  misses');
+  runs.forEach(run => {
+    const time = run.done ? (run.time / 1000).toFixed(1) : 'unfinished';
+    console.log(`  ${run.mode.padEnd(12)} ${run.prediction.padEnd(10)} ` +
+                `${time.padStart(10)}  ${String(run.presses).padStart(7)}  ` +
+                `${String(run.selections).padStart(10)}  ${String(run.errors).padStart(6)}  ` +
+                `${String(run.misses).padStart(6)}`);
+  });
+}
+
+// Problems found by --check, empty if the checks pass
+function checkResults(runs) {
+  const problems = [];
+  runs.forEach(run => {
+    const name = `${run.mode} with prediction ${run.prediction}`;
+    if (!run.done) problems.push(`${name} did not finish the text`);
+    if (run.errors > 0) problems.push(`${name} made ${run.errors} errors`);
+  });
+  const time = (mode, prediction) => {
+    const run = runs.find(other => other.mode === mode && other.prediction === prediction);
+    return run && run.done ? run.time : null;
+  };
+  scanModes.filter(mode => mode !== 'huffman').forEach(mode => {
+    const withoutPrediction = time(mode, 'off');
+    ['first', 'full'].forEach(prediction => {
+      const withPrediction = time(mode, prediction);
+      if (withoutPrediction !== null && withPrediction !== null &&
+          withPrediction >= withoutPrediction) {
+        problems.push(`${mode} with prediction ${prediction} is not faster than without`);
+      }
+    });
+  });
+  return problems;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const runs = [];
+  for (const mode of options.modes) {
+    for (const prediction of options.predictions) {
+      runs.push(await simulateRun(options, mode, prediction));
+    }
+  }
+  if (options.json) {
+    console.log(JSON.stringify(runs, null, 2));
+  } else {
+    printResults(options, runs);
+  }
+  if (options.check) {
+    const problems = checkResults(runs);
+    problems.forEach(problem => console.error('FAIL:', problem));
+    if (problems.length > 0) process.exit(1);
+    console.log('All checks passed');
+  }
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+export { loadApp, simulateRun, FakeClock };
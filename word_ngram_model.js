@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Word-level n-gram model for next-word prediction.
+ *
+ * The character PPM model cannot suggest anything useful right after a space,
+ * when the current word is still empty. This model counts sequences of up to
+ * `order` words within sentences and predicts the next word from the end of
+ * the message ("HOW ARE" -> "YOU"). Scores back off from the longest matching
+ * history to shorter ones with a fixed penalty ("stupid backoff", see
+ *   Brants, Thorsten et al. (2007): "Large Language Models in Machine
+ *   Translation", Proc. EMNLP-CoNLL, pp. 858--867).
+ */
+
+// Padding word marking the start of a sentence.
+const sentenceStartWord = '<s>';
+
+// Score multiplier applied for each backoff to a shorter history.
+const ngramBackoffWeight = 0.4;
+
+class WordNGramModel {
+  /**
+   * @param {number} order Longest word sequence counted, e.g. 3 for trigrams.
+   * @param {function(string): string} cleanWord Normalizes a raw word, e.g.
+   *        Vocabulary.cleanWord(). Empty results are skipped.
+   */
+  constructor(order, cleanWord) {
+    this.order = order;
+    this.cleanWord = cleanWord;
+    // History (words joined by spaces, '' for none) -> Map(word -> count)
+    this.counts_ = new Map();
+    // History -> total count of the words following it
+    this.totals_ = new Map();
+  }
+
+  // True if nothing has been counted yet
+  isEmpty() {
+    return this.counts_.size === 0;
+  }
+
+  // Forget all counts
+  clear() {
+    this.counts_.clear();
+    this.totals_.clear();
+  }
+
+  // Split text into sentences of cleaned words
+  tokenize(text) {
+    return text.split(/[\n.?!]+/)
+      .map(sentence => sentence.split(/\s+/)
+        .map(word => this.cleanWord(word))
+        .filter(word => word.length > 0))
+      .filter(words => words.length > 0);
+  }
+
+  // The last `order - 1` words of a sentence, padded with the start marker
+  historyOf_(previousWords) {
+    const padded = [sentenceStartWord, ...previousWords];
+    return padded.slice(Math.max(0, padded.length - (this.order - 1)));
+  }
+
+  // Increment the count of `word` after `historyKey`
+  increment_(historyKey, word, delta) {
+    let followers = this.counts_.get(historyKey);
+    if (!followers) {
+      followers = new Map();
+      this.counts_.set(historyKey, followers);
+    }
+    const count = (followers.get(word) || 0) + delta;
+    if (count > 0) {
+      followers.set(word, count);
+    } else {
+      followers.delete(word);
+    }
+    const total = (this.totals_.get(historyKey) || 0) + delta;
+    if (total > 0) {
+      this.totals_.set(historyKey, total);
+    } else {
+      this.counts_.delete(historyKey);
+      this.totals_.delete(historyKey);
+    }
+  }
+
+  /**
+   * Counts `word` following `previousWords` in the same sentence, for every
+   * history length up to the model order.
+   * @param {!Array<string>} previousWords Cleaned words before `word`.
+   * @param {string} word Cleaned word.
+   * @param {?array} journal Optional list receiving the changes, which can be
+   *                 reverted with undoUpdates().
+   */
+  addWord(previousWords, word, journal = null) {
+    const history = this.historyOf_(previousWords);
+    for (let n = 0; n <= history.length; ++n) {
+      const historyKey = history.slice(history.length - n).join(' ');
+      this.increment_(historyKey, word, 1);
+      if (journal) {
+        journal.push({ historyKey, word });
+      }
+    }
+  }
+
+  // Revert the changes recorded by addWord(), most recent first
+  undoUpdates(journal) {
+    for (let i = journal.length - 1; i >= 0; --i) {
+      this.increment_(journal[i].historyKey, journal[i].word, -1);
+    }
+    journal.length = 0;
+  }
+
+  // Count every word sequence in the text
+  trainOnText(text) {
+    this.tokenize(text).forEach(words => {
+      words.forEach((word, index) => this.addWord(words.slice(0, index), word));
+    });
+  }
+
+  /**
+   * Predicts the words most likely to follow `previousWords`.
+   * @param {!Array<string>} previousWords Cleaned words of the current
+   *        sentence, empty at the start of a sentence.
+   * @param {number} maxResults Maximum number of words returned.
+   * @return {!Array<string>} Predicted words, best first.
+   */
+  predict(previousWords, maxResults = 4) {
+    const history = this.historyOf_(previousWords);
+    const scores = new Map();
+    let weight = 1.0;
+    for (let n = history.length; n >= 0; --n) {
+      const historyKey = history.slice(history.length - n).join(' ');
+      const followers = this.counts_.get(historyKey);
+      if (followers) {
+        const total = this.totals_.get(historyKey);
+        followers.forEach((count, word) => {
+          const score = weight * count / total;
+          if (!(scores.get(word) >= score)) {
+            scores.set(word, score);
+          }
+        });
+      }
+      weight *= ngramBackoffWeight;
+    }
+    return Array.from(scores)
+      .sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]))
+      .slice(0, maxResults)
+      .map(([word]) => word);
+  }
+
+  // Plain object with the counts as [history, word, count] triples
+  serialize() {
+    const counts = [];
+    this.counts_.forEach((followers, historyKey) => {
+      followers.forEach((count, word) => counts.push([historyKey, word, count]));
+    });
+    return { order: this.order, counts };
+  }
+
+  // Restore the state saved by serialize()
+  deserialize(data) {
+    this.clear();
+    this.order = data.order;
+    data.counts.forEach(([historyKey, word, count]) => {
+      this.increment_(historyKey, word, count);
+    });
+  }
+}
+
+export { WordNGramModel };